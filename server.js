@@ -8,6 +8,9 @@ import helmet from "helmet";
 import RSSParser from "rss-parser";
 import { fileURLToPath } from "url";
 import path from "path";
+import { promises as fs } from "fs";
+import crypto from "crypto";
+import { isDeepStrictEqual } from "util";
 
 // ----- Optional plugins -----
 import * as Sentry from "@sentry/node";
@@ -33,6 +36,9 @@ if (process.env.SENTRY_DSN) {
 // ----- Security / middlewares -----
 const allow = process.env.CORS_ORIGIN?.split(",").map(s => s.trim());
 app.use(cors(allow ? { origin: allow } : {}));
+// Off unless TRUST_PROXY_HOPS is set: trusting X-Forwarded-For without a proxy in front lets clients pick
+// their own req.ip and dodge the per-IP rate limit. On Railway set it to 1 (its edge proxy).
+if (process.env.TRUST_PROXY_HOPS) app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS));
 app.use(express.json());
 app.use(compression());
 app.use(helmet({ contentSecurityPolicy: false, crossOriginResourcePolicy: false }));
@@ -53,6 +59,44 @@ if (pgUrl) {
         email text unique,
         created_at timestamptz default now()
       );
+      alter table sl_users add column if not exists sub text;
+      alter table sl_users add column if not exists name text;
+      alter table sl_users add column if not exists last_login_at timestamptz;
+      create unique index if not exists sl_users_sub on sl_users (sub);
+      create table if not exists sl_workspaces (
+        id serial primary key,
+        name text not null,
+        created_by text not null,
+        created_at timestamptz default now()
+      );
+      create table if not exists sl_workspace_members (
+        workspace_id integer not null references sl_workspaces(id) on delete cascade,
+        user_email text not null,
+        role text not null default 'member', -- 'member' | 'admin'
+        added_by text,
+        created_at timestamptz default now(),
+        primary key (workspace_id, user_email)
+      );
+      create index if not exists sl_workspace_members_email on sl_workspace_members (user_email);
+      create table if not exists sl_api_keys (
+        id serial primary key,
+        user_id integer not null references sl_users(id) on delete cascade,
+        name text not null,
+        prefix text not null,
+        key_hash text not null unique,
+        rate_per_min integer not null,
+        quota_per_day integer not null,
+        created_at timestamptz default now(),
+        last_used_at timestamptz,
+        revoked_at timestamptz
+      );
+      create table if not exists sl_api_usage (
+        key_id integer not null references sl_api_keys(id) on delete cascade,
+        route text not null,
+        day date not null,
+        calls integer not null default 0,
+        primary key (key_id, route, day)
+      );
       create table if not exists sl_watchlists (
         id serial primary key,
         user_email text not null,
@@ -60,12 +104,75 @@ if (pgUrl) {
         item_id text not null,
         created_at timestamptz default now()
       );
+      alter table sl_watchlists add column if not exists workspace_id integer references sl_workspaces(id) on delete cascade;
+      delete from sl_watchlists a using sl_watchlists b
+        where a.id > b.id and a.user_email = b.user_email and a.item_type = b.item_type and a.item_id = b.item_id
+          and a.workspace_id is not distinct from b.workspace_id;
+      drop index if exists sl_watchlists_user_item;
+      create unique index if not exists sl_watchlists_personal_item on sl_watchlists (user_email, item_type, item_id) where workspace_id is null;
+      create unique index if not exists sl_watchlists_workspace_item on sl_watchlists (workspace_id, item_type, item_id) where workspace_id is not null;
       create table if not exists sl_alerts_sent (
         id serial primary key,
         kind text not null,
         payload jsonb not null,
         created_at timestamptz default now()
       );
+      alter table sl_alerts_sent add column if not exists channel text;
+      alter table sl_alerts_sent add column if not exists fingerprint text;
+      alter table sl_alerts_sent add column if not exists rule_id integer;
+      create index if not exists sl_alerts_sent_fp on sl_alerts_sent (fingerprint, channel, created_at);
+      create table if not exists sl_alert_rules (
+        id serial primary key,
+        user_email text not null,
+        name text not null,
+        kind text not null, -- 'depeg' | 'score_below' | 'news_mention'
+        params jsonb not null,
+        channels jsonb not null default '[]',
+        cooldown_minutes integer not null default 60,
+        enabled boolean not null default true,
+        created_at timestamptz default now()
+      );
+      alter table sl_alert_rules add column if not exists workspace_id integer references sl_workspaces(id) on delete cascade;
+      create table if not exists sl_alert_events (
+        id serial primary key,
+        rule_id integer not null references sl_alert_rules(id) on delete cascade,
+        user_email text not null,
+        fingerprint text not null,
+        status text not null default 'open', -- 'open' | 'acknowledged' | 'resolved'
+        severity text not null,
+        message text not null,
+        payload jsonb,
+        first_seen timestamptz default now(),
+        last_seen timestamptz default now(),
+        acknowledged_at timestamptz,
+        acknowledged_by text,
+        resolved_at timestamptz
+      );
+      create unique index if not exists sl_alert_events_active on sl_alert_events (rule_id, fingerprint) where status <> 'resolved';
+      create table if not exists sl_webhooks (
+        id serial primary key,
+        url text not null,
+        secret text not null,
+        events jsonb not null default '["*"]',
+        description text,
+        enabled boolean not null default true,
+        created_by text,
+        created_at timestamptz default now()
+      );
+      create table if not exists sl_webhook_deliveries (
+        id bigserial primary key,
+        webhook_id integer not null references sl_webhooks(id) on delete cascade,
+        job_id text not null,
+        event_id text not null,
+        event_type text not null,
+        attempt integer not null,
+        status text not null, -- 'delivered' | 'retrying' | 'dead'
+        response_code integer,
+        error text,
+        duration_ms integer,
+        created_at timestamptz default now()
+      );
+      create index if not exists sl_webhook_deliveries_hook_t on sl_webhook_deliveries (webhook_id, created_at);
       create table if not exists sl_scenarios (
         id serial primary key,
         user_email text not null,
@@ -73,7 +180,80 @@ if (pgUrl) {
         params jsonb not null,
         created_at timestamptz default now()
       );
+      alter table sl_scenarios add column if not exists name text;
+      alter table sl_scenarios add column if not exists updated_at timestamptz default now();
+      alter table sl_scenarios add column if not exists workspace_id integer references sl_workspaces(id) on delete cascade;
+      create table if not exists sl_portfolios (
+        id serial primary key,
+        user_email text not null,
+        name text not null,
+        params jsonb not null,
+        result jsonb not null,
+        created_at timestamptz default now()
+      );
+      create index if not exists sl_portfolios_user on sl_portfolios (user_email, created_at);
+      create table if not exists sl_reports (
+        id text primary key,
+        kind text not null, -- 'stablecoin' | 'platform'
+        entity_id text not null,
+        data jsonb not null,
+        created_at timestamptz default now()
+      );
+      create index if not exists sl_reports_entity_t on sl_reports (kind, entity_id, created_at);
+      create table if not exists sl_peg_observations (
+        id bigserial primary key,
+        symbol text not null,
+        price double precision not null,
+        source text,
+        observed_at timestamptz not null default now()
+      );
+      create index if not exists sl_peg_observations_symbol_t on sl_peg_observations (symbol, observed_at);
+      create table if not exists sl_score_snapshots (
+        id bigserial primary key,
+        entity_type text not null, -- 'coin' | 'platform'
+        entity_id text not null,
+        version text not null,
+        total double precision not null,
+        parts jsonb not null,
+        factors jsonb not null,
+        created_at timestamptz default now()
+      );
+      create index if not exists sl_score_snapshots_entity_t on sl_score_snapshots (entity_type, entity_id, created_at);
+      create table if not exists sl_registry (
+        id serial primary key,
+        kind text not null, -- 'coin' | 'platform' | 'corridor'
+        entity_id text not null,
+        data jsonb not null,
+        retired boolean not null default false,
+        updated_by text,
+        updated_at timestamptz default now(),
+        unique (kind, entity_id)
+      );
+      alter table sl_registry add column if not exists seed jsonb;
+      create table if not exists sl_registry_audit (
+        id bigserial primary key,
+        kind text not null,
+        entity_id text not null,
+        action text not null, -- 'create' | 'update' | 'retire' | 'restore'
+        actor text not null,
+        before jsonb,
+        after jsonb,
+        created_at timestamptz default now()
+      );
+      create table if not exists sl_series_points (
+        series_id text not null,
+        t timestamptz not null,
+        v double precision not null,
+        primary key (series_id, t)
+      );
+      create table if not exists sl_source_snapshots (
+        cache_key text primary key,
+        provider text,
+        data jsonb not null,
+        fetched_at timestamptz not null
+      );
     `);
+    await loadRegistryFromDb();
     console.log("DB ready");
   })().catch(err => console.error("DB init error:", err));
 }
@@ -107,25 +287,352 @@ async function slackNotify(text) {
     await fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ text }) });
   } catch {}
 }
+// Like slackNotify but for deliveries that must report failure
+async function postJSON(url, body, { timeoutMs = 10000, headers = {} } = {}) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const r = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json", ...headers }, body: typeof body === "string" ? body : JSON.stringify(body), signal: ctrl.signal });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    return r;
+  } finally { clearTimeout(timer); }
+}
+
+// ----- Auth: local JWT verification (pluggable provider) -----
+// Bearer tokens are verified in-process (RS256 / ES256) against the provider's JWKS, cached for
+// JWKS_CACHE_MS and refetched early when a token names an unknown kid (key rotation).
+// AUTH_PROVIDER: "clerk" (default when CLERK_SECRET_KEY / CLERK_JWKS_URL is set), "jwks" (any OIDC issuer:
+// AUTH_JWKS_URL + optional AUTH_ISSUER / AUTH_AUDIENCE) or "dev" (tokens signed with a local key via
+// POST /api/auth/dev/token; needs DEV_AUTH_ENABLED=1, only answers loopback requests and never under
+// NODE_ENV=production). Users are upserted into sl_users on first login.
+const JWKS_CACHE_MS = 10 * 60 * 1000;
+const JWKS_REFETCH_MIN_MS = 30 * 1000;
+const JWT_LEEWAY_SEC = 60;
+const DEV_TOKEN_TTL_SEC = Number(process.env.DEV_TOKEN_TTL_SEC || 12 * 3600);
+const jwksCache = new Map(); // url -> { keys: Map(kid -> KeyObject), t }
+
+const authFailure = (code, message) => Object.assign(new Error(message), { code });
+const standardClaims = c => ({ sub: c.sub, email: c.email || null, name: c.name || null, role: c.role || c.metadata?.role || null });
+const AUTH_PROVIDERS = {
+  clerk: {
+    jwksUrl: process.env.CLERK_JWKS_URL || "https://api.clerk.com/v1/jwks",
+    jwksHeaders: process.env.CLERK_SECRET_KEY ? { Authorization: `Bearer ${process.env.CLERK_SECRET_KEY}` } : {},
+    issuer: process.env.CLERK_ISSUER || null,
+    audience: null,
+    // email / role only arrive when added as custom session claims in the Clerk dashboard
+    claims: standardClaims
+  },
+  jwks: {
+    jwksUrl: process.env.AUTH_JWKS_URL,
+    jwksHeaders: {},
+    issuer: process.env.AUTH_ISSUER || null,
+    audience: process.env.AUTH_AUDIENCE || null,
+    claims: c => ({ ...standardClaims(c), role: c[process.env.AUTH_ROLE_CLAIM || "role"] ?? null })
+  },
+  dev: {
+    issuer: "stablelens-dev",
+    audience: "stablelens",
+    claims: standardClaims
+  }
+};
+let authProviderName = process.env.AUTH_PROVIDER ||
+  (process.env.CLERK_SECRET_KEY || process.env.CLERK_JWKS_URL ? "clerk" : process.env.AUTH_JWKS_URL ? "jwks" : null);
+if (authProviderName && !AUTH_PROVIDERS[authProviderName]) {
+  console.error(`Unknown AUTH_PROVIDER "${authProviderName}"; auth disabled`);
+  authProviderName = null;
+}
+if (authProviderName === "dev" && (process.env.NODE_ENV === "production" || process.env.DEV_AUTH_ENABLED !== "1")) {
+  console.error("AUTH_PROVIDER=dev needs DEV_AUTH_ENABLED=1 and is not allowed in production; auth disabled");
+  authProviderName = null;
+}
+const authProvider = authProviderName ? AUTH_PROVIDERS[authProviderName] : null;
+// dev: DEV_AUTH_PRIVATE_KEY (PEM) keeps tokens valid across restarts; otherwise a fresh key per process
+const devKey = authProviderName === "dev" ? (() => {
+  const privateKey = process.env.DEV_AUTH_PRIVATE_KEY
+    ? crypto.createPrivateKey(process.env.DEV_AUTH_PRIVATE_KEY.replace(/\\n/g, "\n"))
+    : crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey;
+  const publicKey = crypto.createPublicKey(privateKey);
+  const kid = "dev-" + crypto.createHash("sha256").update(publicKey.export({ type: "spki", format: "der" })).digest("hex").slice(0, 12);
+  return { privateKey, publicKey, kid };
+})() : null;
+
+async function loadJwks(provider) {
+  const r = await fetch(provider.jwksUrl, { headers: provider.jwksHeaders, signal: AbortSignal.timeout(8000) });
+  if (!r.ok) throw new Error(`JWKS HTTP ${r.status}`);
+  const keys = new Map();
+  for (const jwk of (await r.json()).keys || []) {
+    if (jwk.use && jwk.use !== "sig") continue;
+    try { keys.set(jwk.kid || "", crypto.createPublicKey({ key: jwk, format: "jwk" })); } catch {}
+  }
+  const entry = { keys, t: Date.now() };
+  jwksCache.set(provider.jwksUrl, entry);
+  return entry;
+}
+async function signingKey(provider, kid = "") {
+  if (provider === AUTH_PROVIDERS.dev) return kid === devKey.kid ? devKey.publicKey : null;
+  let entry = jwksCache.get(provider.jwksUrl);
+  const age = entry ? Date.now() - entry.t : Infinity;
+  if (age > JWKS_CACHE_MS || (!entry.keys.has(kid) && age > JWKS_REFETCH_MIN_MS)) {
+    try { entry = await loadJwks(provider); }
+    catch (e) { if (!entry) throw authFailure("auth_unavailable", `could not load signing keys: ${e.message}`); } // keep serving the last good set
+  }
+  return entry.keys.get(kid) || null;
+}
+const b64json = s => JSON.parse(Buffer.from(s, "base64url").toString("utf8"));
+// The key, not the token header, decides the algorithm family: an RS256 header over an EC key is rejected
+const JWT_KEY_TYPES = { RS256: "rsa", ES256: "ec" };
+async function verifyJwt(token, provider) {
+  const parts = token.split(".");
+  if (parts.length !== 3) throw authFailure("invalid_session", "malformed token");
+  let header, claims;
+  try { header = b64json(parts[0]); claims = b64json(parts[1]); } catch { throw authFailure("invalid_session", "malformed token"); }
+  if (!Object.hasOwn(JWT_KEY_TYPES, header.alg)) throw authFailure("invalid_session", `unsupported alg ${header.alg}`);
+  const key = await signingKey(provider, header.kid);
+  if (!key) throw authFailure("invalid_session", "unknown signing key");
+  if (key.asymmetricKeyType !== JWT_KEY_TYPES[header.alg] || (header.alg === "ES256" && key.asymmetricKeyDetails?.namedCurve !== "prime256v1")) {
+    throw authFailure("invalid_session", `signing key does not match alg ${header.alg}`);
+  }
+  const ok = crypto.verify("sha256", Buffer.from(`${parts[0]}.${parts[1]}`),
+    header.alg === "ES256" ? { key, dsaEncoding: "ieee-p1363" } : key, Buffer.from(parts[2], "base64url"));
+  if (!ok) throw authFailure("invalid_session", "bad signature");
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== "number") throw authFailure("invalid_session", "token has no expiry");
+  if (now > claims.exp + JWT_LEEWAY_SEC) throw authFailure("invalid_session", "token expired");
+  if (claims.nbf != null && now < claims.nbf - JWT_LEEWAY_SEC) throw authFailure("invalid_session", "token not yet valid");
+  if (provider.issuer && claims.iss !== provider.issuer) throw authFailure("invalid_session", "wrong issuer");
+  if (provider.audience && ![].concat(claims.aud ?? []).includes(provider.audience)) throw authFailure("invalid_session", "wrong audience");
+  if (!claims.sub) throw authFailure("invalid_session", "token has no subject");
+  return claims;
+}
+function signDevToken({ sub, email, name = null }) {
+  const now = Math.floor(Date.now() / 1000);
+  const enc = o => Buffer.from(JSON.stringify(o)).toString("base64url");
+  const head = enc({ alg: "RS256", typ: "JWT", kid: devKey.kid });
+  const body = enc({ sub, email, name, iss: AUTH_PROVIDERS.dev.issuer, aud: AUTH_PROVIDERS.dev.audience, iat: now, exp: now + DEV_TOKEN_TTL_SEC });
+  return `${head}.${body}.${crypto.sign("sha256", Buffer.from(`${head}.${body}`), devKey.privateKey).toString("base64url")}`;
+}
 
-// ----- Optional: Clerk auth guard -----
+// sl_users row per subject; matched by email first so accounts created before sub was stored are claimed
+const USER_CACHE_MS = 10 * 60 * 1000;
+const userIdCache = new Map(); // sub -> { id, t }
+async function ensureUser(user) {
+  if (!db || !user?.sub) return null;
+  const hit = userIdCache.get(user.sub);
+  if (hit && Date.now() - hit.t < USER_CACHE_MS) return hit.id;
+  const r = await db.query(
+    `insert into sl_users (email, sub, name, last_login_at) values ($1,$2,$3,now())
+     on conflict (email) do update set sub=excluded.sub, name=coalesce(excluded.name, sl_users.name), last_login_at=now() returning id`,
+    [user.email, user.sub, user.name]);
+  userIdCache.set(user.sub, { id: r.rows[0].id, t: Date.now() });
+  if (userIdCache.size > 10000) userIdCache.delete(userIdCache.keys().next().value);
+  return r.rows[0].id;
+}
+// Verifies a bearer token and returns req.user; throws authFailure (code / message) when it can't
+async function authenticate(token) {
+  const user = authProvider.claims(await verifyJwt(token, authProvider));
+  // personal rows, workspace membership and admin checks are all keyed by email, so a token without one
+  // would land every such user on the same "user@unknown" data (Clerk: add an email session claim)
+  if (!user.email) throw authFailure("no_email_claim", "token has no email claim");
+  try { user.id = await ensureUser(user); }
+  catch (e) { console.error("user upsert failed:", String(e)); user.id = null; }
+  return user;
+}
+const bearerToken = req => { const auth = req.headers.authorization || ""; return auth.startsWith("Bearer ") ? auth.slice(7) : null; };
+const sendAuthFailure = (res, e) => res.status(e.code === "auth_unavailable" ? 503 : 401).json({ error: e.code || "auth_error", detail: e.message });
 async function requireAuth(req, res, next) {
-  if (!process.env.CLERK_SECRET_KEY) return res.status(501).json({ error: "auth_not_configured" });
-  const auth = req.headers.authorization || "";
-  const token = auth.startsWith("Bearer ") ? auth.slice(7) : null;
+  if (!authProvider) return res.status(501).json({ error: "auth_not_configured" });
+  const token = bearerToken(req);
   if (!token) return res.status(401).json({ error: "no_token" });
+  try { req.user = await authenticate(token); }
+  catch (e) { return sendAuthFailure(res, e); }
+  next();
+}
+// Admin = a "role: admin" session claim or an email listed in ADMIN_EMAILS. Use after requireAuth.
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+const isAdmin = user => user?.role === "admin" || (!!user?.email && ADMIN_EMAILS.includes(user.email.toLowerCase()));
+function requireAdmin(req, res, next) {
+  if (isAdmin(req.user)) return next();
+  res.status(403).json({ error: "forbidden" });
+}
+// Team workspaces: an X-Workspace-Id header (or ?workspace=) switches watchlists, scenarios and alert
+// rules from the caller's personal rows to the workspace's shared rows. Use after requireAuth.
+async function withWorkspace(req, res, next) {
+  const raw = req.get("x-workspace-id") || req.query.workspace;
+  if (!raw) { req.workspace = null; return next(); }
+  if (!db) return res.status(501).json({ error: "db_not_configured" });
+  const id = parseId(raw);
+  if (!id) return res.status(404).json({ error: "workspace_not_found" });
+  let r;
+  try { r = await db.query("select workspace_id, role from sl_workspace_members where workspace_id=$1 and user_email=$2", [id, (req.user?.email || "").toLowerCase()]); }
+  catch { return res.status(500).json({ error: "server_error" }); }
+  if (!r.rows[0]) return res.status(404).json({ error: "workspace_not_found" });
+  req.workspace = { id: r.rows[0].workspace_id, role: r.rows[0].role };
+  next();
+}
+// SQL predicate for the rows the caller may see, with its params starting at $i. { write: true } narrows a
+// workspace to the caller's own rows unless they are a workspace admin (deleting teammates' items).
+function ownerScope(req, i, { write = false, alias = "" } = {}) {
+  const col = c => (alias ? `${alias}.${c}` : c);
+  const email = req.user?.email || "user@unknown";
+  if (!req.workspace) return { sql: `(${col("user_email")}=$${i} and ${col("workspace_id")} is null)`, params: [email] };
+  if (write && req.workspace.role !== "admin") return { sql: `(${col("workspace_id")}=$${i} and ${col("user_email")}=$${i + 1})`, params: [req.workspace.id, email] };
+  return { sql: `${col("workspace_id")}=$${i}`, params: [req.workspace.id] };
+}
+
+// ----- API keys, quotas and rate limiting -----
+// Every /api request is limited per API key (X-API-Key header) or, without one, per client IP at the
+// lower anonymous rate the UI runs under. The per-minute limit is a sliding window (current + weighted
+// previous fixed window) kept in Redis when configured, otherwise in memory; keys also get a UTC-day quota.
+// Keys are stored as sha256 hashes in sl_api_keys, owned by an sl_users row.
+const RATE_WINDOW_MS = 60 * 1000;
+const ANON_RATE_PER_MIN = Number(process.env.ANON_RATE_PER_MIN || 120);
+const API_KEY_RATE_PER_MIN = Number(process.env.API_KEY_RATE_PER_MIN || 600);
+const API_KEY_QUOTA_PER_DAY = Number(process.env.API_KEY_QUOTA_PER_DAY || 50000);
+const API_KEY_CACHE_MS = 60 * 1000;
+const API_KEY_CACHE_MAX = 5000;
+const USAGE_FLUSH_MS = 15 * 1000;
+const RATE_MEMORY_MAX = 20000;
+const rateMemory = new Map();   // limiter id -> { bucket, cur, prev } (and "day:<id>" -> { day, n })
+const apiKeyCache = new Map();  // key hash -> { key, t } for valid keys only; oldest first, capped at API_KEY_CACHE_MAX
+const usagePending = new Map(); // `${keyId}|${route}|${day}` -> calls not yet flushed to sl_api_usage
+let usageFlushedAt = Date.now();
+
+const hashApiKey = secret => crypto.createHash("sha256").update(secret).digest("hex");
+const utcDay = (t = Date.now()) => new Date(t).toISOString().slice(0, 10);
+function pruneRateMemory(bucket) {
+  const day = utcDay();
+  for (const [k, v] of rateMemory) if (k.startsWith("day:") ? v.day !== day : v.bucket < bucket - 1) rateMemory.delete(k);
+}
+// Returns { allowed, count } after counting this request (rejected requests aren't counted)
+async function slidingWindowHit(id, limit, now = Date.now()) {
+  const bucket = Math.floor(now / RATE_WINDOW_MS);
+  const weight = 1 - (now % RATE_WINDOW_MS) / RATE_WINDOW_MS;
+  if (redis) {
+    try {
+      const [allowed, count] = await redis.eval(
+        `local cur = tonumber(redis.call('get', KEYS[1]) or '0')
+         local prev = tonumber(redis.call('get', KEYS[2]) or '0')
+         local count = cur + prev * tonumber(ARGV[2])
+         if count >= tonumber(ARGV[1]) then return {0, math.floor(count)} end
+         redis.call('incr', KEYS[1]); redis.call('pexpire', KEYS[1], ARGV[3])
+         return {1, math.floor(count) + 1}`,
+        2, `sl:rl:${id}:${bucket}`, `sl:rl:${id}:${bucket - 1}`, limit, weight, 2 * RATE_WINDOW_MS
+      );
+      return { allowed: allowed === 1, count };
+    } catch {} // Redis hiccup: fall through to this instance's memory
+  }
+  if (rateMemory.size > RATE_MEMORY_MAX) pruneRateMemory(bucket);
+  let w = rateMemory.get(id);
+  if (!w || w.bucket < bucket - 1) w = { bucket, cur: 0, prev: 0 };
+  else if (w.bucket === bucket - 1) w = { bucket, cur: 0, prev: w.cur };
+  rateMemory.set(id, w);
+  const count = w.cur + w.prev * weight;
+  if (count >= limit) return { allowed: false, count: Math.floor(count) };
+  w.cur++;
+  return { allowed: true, count: Math.floor(count) + 1 };
+}
+async function dailyQuotaHit(id, quota) {
+  const day = utcDay();
+  if (redis) {
+    try {
+      const k = `sl:quota:${id}:${day}`;
+      const n = await redis.incr(k);
+      if (n === 1) await redis.expire(k, 2 * 86400);
+      return { allowed: n <= quota, used: n };
+    } catch {}
+  }
+  const k = `day:${id}`;
+  const q = rateMemory.get(k)?.day === day ? rateMemory.get(k) : { day, n: 0 };
+  q.n++;
+  rateMemory.set(k, q);
+  return { allowed: q.n <= quota, used: q.n };
+}
+function cachedApiKey(secret) {
+  const hit = apiKeyCache.get(hashApiKey(secret));
+  return hit && Date.now() - hit.t < API_KEY_CACHE_MS ? hit.key : null;
+}
+// DB lookup; only valid keys are cached, so unknown secrets can't push real keys out of the cache
+async function findApiKey(secret) {
+  const h = hashApiKey(secret), now = Date.now();
+  const r = await db.query("select k.*, u.email from sl_api_keys k join sl_users u on u.id = k.user_id where k.key_hash=$1 and k.revoked_at is null", [h]);
+  const key = r.rows[0] || null;
+  apiKeyCache.delete(h);
+  if (!key) return null;
+  if (apiKeyCache.size >= API_KEY_CACHE_MAX) {
+    for (const [k, v] of apiKeyCache) if (now - v.t >= API_KEY_CACHE_MS) apiKeyCache.delete(k);
+    if (apiKeyCache.size >= API_KEY_CACHE_MAX) apiKeyCache.delete(apiKeyCache.keys().next().value);
+  }
+  apiKeyCache.set(h, { key, t: now });
+  return key;
+}
+function recordUsage(keyId, route) {
+  const k = `${keyId}|${route}|${utcDay()}`;
+  usagePending.set(k, (usagePending.get(k) || 0) + 1);
+  if (db && Date.now() - usageFlushedAt > USAGE_FLUSH_MS) flushApiUsage().catch(err => console.error("usage flush failed:", err));
+}
+async function flushApiUsage() {
+  usageFlushedAt = Date.now();
+  const rows = [...usagePending.entries()];
+  usagePending.clear();
   try {
-    const r = await fetch("https://api.clerk.com/v1/introspect", {
-      method: "POST",
-      headers: { "Authorization": `Bearer ${process.env.CLERK_SECRET_KEY}`, "Content-Type": "application/x-www-form-urlencoded" },
-      body: new URLSearchParams({ token })
-    });
-    const data = await r.json();
-    if (!data.active) return res.status(401).json({ error: "invalid_session" });
-    req.user = { sub: data.sub, email: data.email || data.claims?.email };
-    next();
-  } catch (e) { res.status(401).json({ error: "auth_error", detail: String(e) }); }
+    for (const [k, calls] of rows) {
+      const [keyId, route, day] = k.split("|");
+      await db.query(
+        "insert into sl_api_usage (key_id, route, day, calls) values ($1,$2,$3,$4) on conflict (key_id, route, day) do update set calls = sl_api_usage.calls + excluded.calls",
+        [Number(keyId), route, day, calls]
+      );
+    }
+    const ids = [...new Set(rows.map(([k]) => Number(k.split("|")[0])))];
+    if (ids.length) await db.query("update sl_api_keys set last_used_at=now() where id = any($1::int[])", [ids]);
+  } catch (e) {
+    for (const [k, calls] of rows) usagePending.set(k, (usagePending.get(k) || 0) + calls); // retry on the next flush
+    throw e;
+  }
+}
+function setRateHeaders(res, limit, count, now = Date.now()) {
+  res.set("RateLimit-Policy", `${limit};w=${RATE_WINDOW_MS / 1000}`);
+  res.set("RateLimit-Limit", String(limit));
+  res.set("RateLimit-Remaining", String(Math.max(0, limit - count)));
+  res.set("RateLimit-Reset", String(Math.ceil((RATE_WINDOW_MS - (now % RATE_WINDOW_MS)) / 1000)));
+}
+// Without DATABASE_URL there is no key store, so an X-API-Key header is ignored and the anonymous limit applies.
+// A key that isn't cached costs a DB lookup; those lookups count against the caller's IP at the anonymous
+// rate first, so random keys can't get around the IP limit.
+async function rateLimit(req, res, next) {
+  const secret = db ? req.get("x-api-key") : null;
+  const now = Date.now();
+  let key = secret ? cachedApiKey(secret) : null;
+  if (secret && !key) {
+    const probe = await slidingWindowHit(`keylookup:${req.ip}`, ANON_RATE_PER_MIN, now);
+    if (!probe.allowed) {
+      setRateHeaders(res, ANON_RATE_PER_MIN, probe.count, now);
+      res.set("Retry-After", res.get("RateLimit-Reset"));
+      return res.status(429).json({ error: "rate_limited", limit: ANON_RATE_PER_MIN, windowSeconds: RATE_WINDOW_MS / 1000 });
+    }
+    try { key = await findApiKey(secret); } catch { return res.status(503).json({ error: "key_store_unavailable" }); }
+    if (!key) return res.status(401).json({ error: "invalid_api_key" });
+  }
+  const limit = key ? key.rate_per_min : ANON_RATE_PER_MIN;
+  const hit = await slidingWindowHit(key ? `key:${key.id}` : `ip:${req.ip}`, limit, now);
+  setRateHeaders(res, limit, hit.count, now);
+  if (!hit.allowed) {
+    res.set("Retry-After", res.get("RateLimit-Reset"));
+    return res.status(429).json({ error: "rate_limited", limit, windowSeconds: RATE_WINDOW_MS / 1000 });
+  }
+  if (key) {
+    const q = await dailyQuotaHit(`key:${key.id}`, key.quota_per_day);
+    res.set("X-Quota-Limit", String(key.quota_per_day));
+    res.set("X-Quota-Remaining", String(Math.max(0, key.quota_per_day - q.used)));
+    if (!q.allowed) {
+      res.set("Retry-After", String(Math.ceil((Date.parse(utcDay() + "T00:00:00Z") + 86400000 - now) / 1000)));
+      return res.status(429).json({ error: "quota_exceeded", quotaPerDay: key.quota_per_day });
+    }
+    req.apiKey = { id: key.id, name: key.name, email: key.email };
+    res.on("finish", () => recordUsage(key.id, `${req.method} ${req.route?.path || "(unmatched)"}`));
+  }
+  next();
 }
+app.use("/api", rateLimit);
 
 // ----- In-memory cache fallback -----
 const memory = {
@@ -144,16 +651,212 @@ const TTL = {
 };
 const parser = new RSSParser();
 
+// ----- Upstream circuit breakers -----
+// One breaker per upstream provider: after BREAKER_FAILURE_THRESHOLD consecutive failures it opens and calls
+// fail fast; once BREAKER_COOLDOWN_MS has passed a single half-open probe decides whether it closes again.
+const BREAKER_FAILURE_THRESHOLD = Number(process.env.BREAKER_FAILURE_THRESHOLD || 3);
+const BREAKER_COOLDOWN_MS = Number(process.env.BREAKER_COOLDOWN_MS || 60 * 1000);
+const PROVIDERS = {
+  "fred":                  "FRED (St. Louis Fed) CSV series",
+  "nyfed":                 "NY Fed markets API (SOFR)",
+  "coingecko":             "CoinGecko (global, categories, prices)",
+  "defillama-yields":      "DefiLlama yield pools",
+  "defillama-pool-charts": "DefiLlama per-pool APY / TVL charts",
+  "defillama-stablecoins": "DefiLlama stablecoin supply / prices",
+  "rss":                   "Regulator RSS feeds (SEC, CFTC, Fed, BIS)",
+  "fixture":               "Local market fixture file"
+};
+const breakers = new Map();
+
+function breakerFor(name) {
+  if (!breakers.has(name)) breakers.set(name, {
+    name, state: "closed", consecutiveFailures: 0, calls: 0, failures: 0, rejected: 0, probing: false,
+    openedAt: null, retryAt: null, lastLatencyMs: null, avgLatencyMs: null,
+    lastSuccessAt: null, lastFailureAt: null, lastError: null
+  });
+  return breakers.get(name);
+}
+async function callProvider(name, fn) {
+  const b = breakerFor(name);
+  if (b.state === "open" && Date.now() >= b.retryAt) b.state = "half_open";
+  if (b.state === "open" || (b.state === "half_open" && b.probing)) {
+    b.rejected++;
+    const err = new Error(`${name} circuit open`);
+    err.code = "circuit_open";
+    throw err;
+  }
+  if (b.state === "half_open") b.probing = true;
+  const started = Date.now();
+  b.calls++;
+  try {
+    const data = await fn();
+    if (data == null) throw new Error("empty response");
+    b.lastLatencyMs = Date.now() - started;
+    b.avgLatencyMs = b.avgLatencyMs == null ? b.lastLatencyMs : Math.round(b.avgLatencyMs * 0.8 + b.lastLatencyMs * 0.2);
+    Object.assign(b, { state: "closed", consecutiveFailures: 0, openedAt: null, retryAt: null, lastSuccessAt: Date.now() });
+    return data;
+  } catch (e) {
+    b.lastLatencyMs = Date.now() - started;
+    b.failures++;
+    b.consecutiveFailures++;
+    b.lastFailureAt = Date.now();
+    b.lastError = String(e?.message || e);
+    if (b.state === "half_open" || b.consecutiveFailures >= BREAKER_FAILURE_THRESHOLD) {
+      b.state = "open";
+      b.openedAt = Date.now();
+      b.retryAt = b.openedAt + BREAKER_COOLDOWN_MS;
+    }
+    throw e;
+  } finally { b.probing = false; }
+}
+function providerStatus() {
+  return Object.keys(PROVIDERS).map(name => {
+    const { probing, ...b } = breakerFor(name);
+    return { ...b, description: PROVIDERS[name] };
+  });
+}
+
+// ----- Upstream cache (stale-while-revalidate, single-flight) -----
+// Every upstream pull goes through cached(source, key, providers), where providers is an ordered list of
+// [providerName, loader] pairs tried through their circuit breakers until one answers. Within `ttl` an entry is
+// fresh; for a further `stale` window it is served immediately while one background refresh runs; past that callers
+// wait on the providers. Concurrent callers share one in-flight request per key. Entries are mirrored to Redis when
+// REDIS_URL is set and persisted to sl_source_snapshots when DATABASE_URL is set, so a cold start with every
+// provider down can still serve the last good snapshot (marked stale). `maxEntries` caps a source keyed by user
+// input (oldest entry evicted first) and `persist: false` keeps it out of sl_source_snapshots.
+const CACHE_SOURCES = {
+  market:    { ttl: TTL.stablecoins,    stale: 60 * 60 * 1000 },
+  yields:    { ttl: TTL.yields,         stale: 60 * 60 * 1000 },
+  news:      { ttl: TTL.news,           stale: 6 * 60 * 60 * 1000 },
+  fred:      { ttl: 6 * 60 * 60 * 1000, stale: 7 * 24 * 60 * 60 * 1000 },
+  nyfed:     { ttl: 60 * 60 * 1000,     stale: 3 * 24 * 60 * 60 * 1000 },
+  coingecko: { ttl: 10 * 60 * 1000,     stale: 6 * 60 * 60 * 1000 },
+  supply:    { ttl: 6 * 60 * 60 * 1000, stale: 7 * 24 * 60 * 60 * 1000 },
+  poolchart: { ttl: TTL.yields,         stale: 6 * 60 * 60 * 1000, maxEntries: 200, persist: false }
+};
+const cacheEntries = new Map();  // "source:key" -> { data, t, provider }
+const cacheInflight = new Map(); // "source:key" -> Promise<{ data, t, provider }>
+const cacheStats = {};           // source -> counters
+
+function sourceStats(source) {
+  return cacheStats[source] ||= { hits: 0, staleHits: 0, misses: 0, refreshes: 0, fallbacks: 0, errors: 0, lastProvider: null, lastError: null, lastErrorAt: null, lastSuccessAt: null };
+}
+function withAge(entry, stale) {
+  return { data: entry.data, t: entry.t, provider: entry.provider || null, age: Math.round((Date.now() - entry.t) / 1000), stale };
+}
+async function loadSnapshot(id) {
+  if (!db || CACHE_SOURCES[id.slice(0, id.indexOf(":"))]?.persist === false) return null;
+  try {
+    const r = await db.query("select data, provider, fetched_at from sl_source_snapshots where cache_key=$1", [id]);
+    return r.rows[0] ? { data: r.rows[0].data, provider: r.rows[0].provider, t: new Date(r.rows[0].fetched_at).getTime() } : null;
+  } catch { return null; }
+}
+function persistSnapshot(id, entry) {
+  if (!db || CACHE_SOURCES[id.slice(0, id.indexOf(":"))]?.persist === false) return;
+  db.query(
+    `insert into sl_source_snapshots (cache_key, provider, data, fetched_at) values ($1,$2,$3,$4)
+     on conflict (cache_key) do update set provider=excluded.provider, data=excluded.data, fetched_at=excluded.fetched_at`,
+    [id, entry.provider, JSON.stringify(entry.data), new Date(entry.t)]
+  ).catch(e => console.error("source snapshot error:", e));
+}
+function setCacheEntry(source, id, entry) {
+  cacheEntries.delete(id); // re-insert so Map order is oldest-written first
+  cacheEntries.set(id, entry);
+  const max = CACHE_SOURCES[source].maxEntries;
+  if (!max) return;
+  const own = [...cacheEntries.keys()].filter(k => k.startsWith(source + ":"));
+  for (const k of own.slice(0, Math.max(0, own.length - max))) cacheEntries.delete(k);
+}
+function refreshCached(source, key, providers) {
+  const id = `${source}:${key}`;
+  if (cacheInflight.has(id)) return cacheInflight.get(id);
+  const stats = sourceStats(source);
+  const { ttl, stale } = CACHE_SOURCES[source];
+  const p = (async () => {
+    stats.refreshes++;
+    const errors = [];
+    for (const [i, [provider, loader]] of providers.entries()) {
+      let data;
+      try { data = await callProvider(provider, loader); }
+      catch (e) { errors.push(`${provider}: ${e?.message || e}`); continue; }
+      const entry = { data, t: Date.now(), provider };
+      setCacheEntry(source, id, entry);
+      if (i > 0) stats.fallbacks++;
+      stats.lastProvider = provider;
+      stats.lastSuccessAt = entry.t;
+      await cacheSet(`cache:${id}`, entry, Math.ceil((ttl + stale) / 1000));
+      persistSnapshot(id, entry);
+      emitEvent("source.refreshed", { source, key, provider, t: entry.t });
+      return entry;
+    }
+    stats.errors++;
+    stats.lastError = errors.join("; ");
+    stats.lastErrorAt = Date.now();
+    throw new Error(stats.lastError);
+  })().finally(() => cacheInflight.delete(id));
+  cacheInflight.set(id, p);
+  return p;
+}
+// Resolves to { data, t, provider, age (seconds), stale }; rejects only when there is nothing usable to serve
+async function cached(source, key, providers, { force = false } = {}) {
+  const policy = CACHE_SOURCES[source];
+  const id = `${source}:${key}`;
+  const stats = sourceStats(source);
+  let entry = cacheEntries.get(id);
+  if (!entry || Date.now() - entry.t > policy.ttl) {
+    const shared = (await cacheGet(`cache:${id}`)) || (!entry && await loadSnapshot(id)); // another replica / an earlier run
+    if (shared && (!entry || shared.t > entry.t)) { entry = shared; setCacheEntry(source, id, entry); }
+  }
+  const age = entry ? Date.now() - entry.t : Infinity;
+  if (!force && age <= policy.ttl) { stats.hits++; return withAge(entry, false); }
+  if (!force && age <= policy.ttl + policy.stale) {
+    stats.staleHits++;
+    refreshCached(source, key, providers).catch(() => {});
+    return withAge(entry, true);
+  }
+  stats.misses++;
+  try { return withAge(await refreshCached(source, key, providers), false); }
+  catch (e) {
+    if (entry) return withAge(entry, true);
+    throw e;
+  }
+}
+// Response marker for one or more cached() results: oldest age wins, stale if any input is stale
+function cacheMarker(...results) {
+  return { age: Math.max(0, ...results.map(r => r.age)), stale: results.some(r => r.stale) };
+}
+function cacheStatus() {
+  const out = {};
+  for (const [source, policy] of Object.entries(CACHE_SOURCES)) {
+    const s = sourceStats(source);
+    const lookups = s.hits + s.staleHits + s.misses;
+    out[source] = {
+      ttlMs: policy.ttl, staleMs: policy.stale,
+      entries: [...cacheEntries.keys()].filter(k => k.startsWith(source + ":")).length,
+      ...s,
+      hitRate: lookups ? Math.round(((s.hits + s.staleHits) / lookups) * 1000) / 1000 : null
+    };
+  }
+  return out;
+}
+
 // ----- Seed registries (coins / platforms) -----
 const SEEDED_STABLES = [
-  { symbol:"USDC", name:"USD Coin", issuer:"Circle", jurisdiction:"US (MSB) / EU EMI", auditor:"Grant Thornton", model:"fiat-backed", genius:"yes",    chains:["Ethereum","Base","Solana","Arbitrum","Polygon"] },
-  { symbol:"USDT", name:"Tether",   issuer:"Tether", jurisdiction:"Offshore",          auditor:"BDO",            model:"fiat-backed", genius:"likely", chains:["Ethereum","Tron","Arbitrum","BSC","Polygon"] },
-  { symbol:"DAI",  name:"DAI",      issuer:"MakerDAO", jurisdiction:"Decentralized",   auditor:"Withum",         model:"crypto-collateralized", genius:"yes", chains:["Ethereum","Layer2"] },
-  { symbol:"sDAI", name:"Savings DAI", issuer:"MakerDAO", jurisdiction:"Decentralized", auditor:"Withum",        model:"yield-bearing (DAI -> sDAI)", genius:"yes", chains:["Ethereum"] },
-  { symbol:"FRAX", name:"Frax",     issuer:"Frax",    jurisdiction:"US (MSB)",          auditor:"Withum",         model:"hybrid",                genius:"likely", chains:["Ethereum","Fraxtal","Arbitrum"] },
-  { symbol:"PYUSD",name:"PayPal USD",issuer:"PayPal (via Paxos)", jurisdiction:"NYDFS", auditor:"Withum",         model:"fiat-backed",           genius:"yes",    chains:["Ethereum","Solana"] },
-  { symbol:"GHO",  name:"GHO",      issuer:"Aave",    jurisdiction:"Decentralized",     auditor:"Various",        model:"crypto-collateralized", genius:"likely", chains:["Ethereum"] },
-  { symbol:"RLUSD",name:"Ripple USD (announced)", issuer:"Ripple", jurisdiction:"US",   auditor:"TBD",            model:"fiat-backed",           genius:"likely", status:"announced", chains:["XRPL","Ethereum"] }
+  { symbol:"USDC", name:"USD Coin", issuer:"Circle", jurisdiction:"US (MSB) / EU EMI", auditor:"Grant Thornton", model:"fiat-backed", genius:"yes",    chains:["Ethereum","Base","Solana","Arbitrum","Polygon"], cgId:"usd-coin",
+    reserves:{ asOf:"2025-06", mmf:0.88, deposits:0.12 } },
+  { symbol:"USDT", name:"Tether",   issuer:"Tether", jurisdiction:"Offshore",          auditor:"BDO",            model:"fiat-backed", genius:"likely", chains:["Ethereum","Tron","Arbitrum","BSC","Polygon"], cgId:"tether",
+    reserves:{ asOf:"2025-06", tbills:0.66, repo:0.12, mmf:0.04, deposits:0.01, crypto:0.12, other:0.05 } },
+  { symbol:"DAI",  name:"DAI",      issuer:"MakerDAO", jurisdiction:"Decentralized",   auditor:"Withum",         model:"crypto-collateralized", genius:"yes", chains:["Ethereum","Layer2"], cgId:"dai",
+    reserves:{ asOf:"2025-06", tbills:0.25, crypto:0.55, other:0.20 } },
+  { symbol:"sDAI", name:"Savings DAI", issuer:"MakerDAO", jurisdiction:"Decentralized", auditor:"Withum",        model:"yield-bearing (DAI -> sDAI)", genius:"yes", chains:["Ethereum"], cgId:"savings-dai", pegged:false },
+  { symbol:"FRAX", name:"Frax",     issuer:"Frax",    jurisdiction:"US (MSB)",          auditor:"Withum",         model:"hybrid",                genius:"likely", chains:["Ethereum","Fraxtal","Arbitrum"], cgId:"frax",
+    reserves:{ asOf:"2025-06", tbills:0.30, crypto:0.30, other:0.40 } },
+  { symbol:"PYUSD",name:"PayPal USD",issuer:"PayPal (via Paxos)", jurisdiction:"NYDFS", auditor:"Withum",         model:"fiat-backed",           genius:"yes",    chains:["Ethereum","Solana"], cgId:"paypal-usd",
+    reserves:{ asOf:"2025-06", repo:0.75, tbills:0.15, deposits:0.10 } },
+  { symbol:"GHO",  name:"GHO",      issuer:"Aave",    jurisdiction:"Decentralized",     auditor:"Various",        model:"crypto-collateralized", genius:"likely", chains:["Ethereum"], cgId:"gho",
+    reserves:{ asOf:"2025-06", crypto:1 } },
+  { symbol:"RLUSD",name:"Ripple USD (announced)", issuer:"Ripple", jurisdiction:"US",   auditor:"TBD",            model:"fiat-backed",           genius:"likely", status:"announced", chains:["XRPL","Ethereum"], cgId:"ripple-usd",
+    reserves:{ asOf:"2025-06", tbills:0.85, deposits:0.15 } }
 ];
 const SEEDED_PLATFORMS = {
   cefi: [
@@ -165,24 +868,31 @@ const SEEDED_PLATFORMS = {
     { name:"OKX",      jurisdiction:"Global",          licenses:["Local registrations vary"], auditor:"PoR style", por:"Partial", insured:false, riskNotes:"Offshore entity", scoreBase:6.8 }
   ],
   defi: [
-    { name:"Aave",      chain:"Ethereum/Multichain", audits:["Trail of Bits","OpenZeppelin","Certora"], por:"N/A", insured:false, riskNotes:"Governance & oracle risks", scoreBase:7.5 },
-    { name:"Compound",  chain:"Ethereum",            audits:["OpenZeppelin","Trail of Bits"], por:"N/A", insured:false, riskNotes:"Governance & oracle risks", scoreBase:7.2 },
-    { name:"Curve",     chain:"Ethereum/Multichain", audits:["Trail of Bits","MixBytes"],     por:"N/A", insured:false, riskNotes:"AMM-specific risks; past incidents", scoreBase:6.8 },
-    { name:"MakerDAO",  chain:"Ethereum",            audits:["Runtime Verification","Trail of Bits"], por:"On-chain transparency", insured:false, riskNotes:"Protocol & collateral risks", scoreBase:7.9 },
-    { name:"Frax",      chain:"Ethereum/Fraxtal",    audits:["Trail of Bits","Certora"],      por:"On-chain transparency", insured:false, riskNotes:"Protocol risks", scoreBase:7.4 }
+    { name:"Aave",      chain:"Ethereum/Multichain", audits:["Trail of Bits","OpenZeppelin","Certora"], por:"N/A", insured:false, riskNotes:"Governance & oracle risks", scoreBase:7.5, llamaProjects:["aave-v2","aave-v3"] },
+    { name:"Compound",  chain:"Ethereum",            audits:["OpenZeppelin","Trail of Bits"], por:"N/A", insured:false, riskNotes:"Governance & oracle risks", scoreBase:7.2, llamaProjects:["compound-v2","compound-v3"] },
+    { name:"Curve",     chain:"Ethereum/Multichain", audits:["Trail of Bits","MixBytes"],     por:"N/A", insured:false, riskNotes:"AMM-specific risks; past incidents", scoreBase:6.8, llamaProjects:["curve-dex","curve-llamalend"] },
+    { name:"MakerDAO",  chain:"Ethereum",            audits:["Runtime Verification","Trail of Bits"], por:"On-chain transparency", insured:false, riskNotes:"Protocol & collateral risks", scoreBase:7.9, llamaProjects:["makerdao","spark","sky-lending"], aliases:["Maker","Sky Protocol"] },
+    { name:"Frax",      chain:"Ethereum/Fraxtal",    audits:["Trail of Bits","Certora"],      por:"On-chain transparency", insured:false, riskNotes:"Protocol risks", scoreBase:7.4, llamaProjects:["frax","fraxlend","frax-ether"] }
   ]
 };
 
 // ----- Payments seed (corridors, ramps) -----
+// ramps: feeBps / fixedFeeUsd per transfer. costs: legacy vs stablecoin rail assumptions
+// (see CORRIDOR_COST_DEFAULTS for anything omitted)
 const SEEDED_CORRIDORS = [
   {
     id: "US-MX", from: "USD", to: "MXN",
     legacySettleDays: 2, prefundDays: 2, onchainHours: 0.5,
     avgDailyVolUsd: 5_000_000, wacc: 0.10,
     ramps: [
-      { country: "US", provider: "Coinbase", rails: ["ACH","Wire"], direction: "in/out" },
-      { country: "MX", provider: "Bitso",    rails: ["SPEI"],       direction: "in/out" }
+      { country: "US", provider: "Coinbase", rails: ["ACH","Wire"], direction: "in/out", feeBps: 10, fixedFeeUsd: 0 },
+      { country: "MX", provider: "Bitso",    rails: ["SPEI"],       direction: "in/out", feeBps: 20, fixedFeeUsd: 0.5 }
     ],
+    costs: {
+      avgTicketUsd: 25_000,
+      legacy:     { fxSpreadBps: 80, correspondentFeeBps: 5, wireFeeUsd: 25, failureRatePct: 1.5, repairFeeUsd: 40 },
+      stablecoin: { chain: "Solana", fxSpreadBps: 25, failureRatePct: 0.3, repairFeeUsd: 15 }
+    },
     notes: "Popular remittance & B2B corridor"
   },
   {
@@ -190,9 +900,14 @@ const SEEDED_CORRIDORS = [
     legacySettleDays: 2, prefundDays: 3, onchainHours: 0.5,
     avgDailyVolUsd: 3_000_000, wacc: 0.10,
     ramps: [
-      { country: "US", provider: "Coinbase", rails: ["ACH","Wire"], direction: "in/out" },
-      { country: "BR", provider: "BTG Pactual", rails: ["PIX"],     direction: "in/out" }
+      { country: "US", provider: "Coinbase", rails: ["ACH","Wire"], direction: "in/out", feeBps: 10, fixedFeeUsd: 0 },
+      { country: "BR", provider: "BTG Pactual", rails: ["PIX"],     direction: "in/out", feeBps: 30, fixedFeeUsd: 0.2 }
     ],
+    costs: {
+      avgTicketUsd: 20_000,
+      legacy:     { fxSpreadBps: 120, correspondentFeeBps: 10, wireFeeUsd: 35, failureRatePct: 2, repairFeeUsd: 50 },
+      stablecoin: { chain: "Ethereum", fxSpreadBps: 40, failureRatePct: 0.5, repairFeeUsd: 20 }
+    },
     notes: "Growing on/off ramp via PIX"
   },
   {
@@ -200,9 +915,14 @@ const SEEDED_CORRIDORS = [
     legacySettleDays: 3, prefundDays: 4, onchainHours: 1,
     avgDailyVolUsd: 2_000_000, wacc: 0.12,
     ramps: [
-      { country: "EU", provider: "SEPA PSP", rails: ["SEPA"], direction: "in/out" },
-      { country: "NG", provider: "Local PSP", rails: ["Local"], direction: "out" }
+      { country: "EU", provider: "SEPA PSP", rails: ["SEPA"], direction: "in/out", feeBps: 15, fixedFeeUsd: 0.3 },
+      { country: "NG", provider: "Local PSP", rails: ["Local"], direction: "out", feeBps: 90, fixedFeeUsd: 2 }
     ],
+    costs: {
+      avgTicketUsd: 10_000,
+      legacy:     { fxSpreadBps: 350, correspondentFeeBps: 25, wireFeeUsd: 45, failureRatePct: 5, repairFeeUsd: 60 },
+      stablecoin: { chain: "Tron", fxSpreadBps: 150, failureRatePct: 1.5, repairFeeUsd: 30 }
+    },
     notes: "Challenging last-mile; PSP coverage varies"
   },
   {
@@ -210,63 +930,521 @@ const SEEDED_CORRIDORS = [
     legacySettleDays: 2, prefundDays: 3, onchainHours: 0.5,
     avgDailyVolUsd: 1_000_000, wacc: 0.12,
     ramps: [
-      { country: "US", provider: "Coinbase", rails: ["ACH","Wire"], direction: "in/out" },
-      { country: "PH", provider: "GCash/Coins.ph", rails: ["Instapay"], direction: "in/out" }
+      { country: "US", provider: "Coinbase", rails: ["ACH","Wire"], direction: "in/out", feeBps: 10, fixedFeeUsd: 0 },
+      { country: "PH", provider: "GCash/Coins.ph", rails: ["Instapay"], direction: "in/out", feeBps: 40, fixedFeeUsd: 0.3 }
     ],
+    costs: {
+      avgTicketUsd: 5_000,
+      legacy:     { fxSpreadBps: 150, correspondentFeeBps: 15, wireFeeUsd: 30, failureRatePct: 2.5, repairFeeUsd: 45 },
+      stablecoin: { chain: "Polygon", fxSpreadBps: 50, failureRatePct: 0.5, repairFeeUsd: 15 }
+    },
     notes: "High remittance corridor"
   }
 ];
 
+// ----- Live registries -----
+// The seeds above bootstrap sl_registry; once Postgres is ready the registry is reloaded from it.
+// Without DATABASE_URL admin edits live in memory until restart. Retired entries drop out of
+// every public list but stay in registryRows (and sl_registry) for the audit trail.
+const REGISTRY_SCHEMAS = {
+  coin: { idField: "symbol", fields: {
+    symbol:       { type: "string", required: true, pattern: /^[A-Za-z0-9.]{2,12}$/ },
+    name:         { type: "string", required: true },
+    issuer:       { type: "string", required: true },
+    jurisdiction: { type: "string", required: true },
+    auditor:      { type: "string" },
+    model:        { type: "string", required: true },
+    genius:       { type: "string", enum: ["yes", "likely", "no", "unknown"] },
+    status:       { type: "string", enum: ["live", "announced"] },
+    chains:       { type: "array", items: { type: "string" }, required: true },
+    cgId:         { type: "string" },
+    pegged:       { type: "boolean" },
+    aliases:      { type: "array", items: { type: "string" } },
+    reserves:     { type: "object", fields: {
+      asOf:     { type: "string", required: true, pattern: /^\d{4}-\d{2}(-\d{2})?$/ },
+      tbills:   { type: "number", min: 0, max: 1 },
+      repo:     { type: "number", min: 0, max: 1 },
+      mmf:      { type: "number", min: 0, max: 1 },
+      deposits: { type: "number", min: 0, max: 1 },
+      crypto:   { type: "number", min: 0, max: 1 },
+      other:    { type: "number", min: 0, max: 1 }
+    }}
+  },
+  // cross-field rules validateAgainst can't express
+  check(d) {
+    if (!d.reserves || typeof d.reserves !== "object") return [];
+    const sum = Object.keys(RESERVE_BUCKETS).reduce((a, k) => a + (Number(d.reserves[k]) || 0), 0);
+    return Math.abs(sum - 1) > 0.01 ? [`reserves shares must sum to 1 (got ${round2(sum)})`] : [];
+  }},
+  platform: { idField: "name", fields: {
+    name:         { type: "string", required: true },
+    category:     { type: "string", required: true, enum: ["cefi", "defi"] },
+    jurisdiction: { type: "string" },
+    chain:        { type: "string" },
+    licenses:     { type: "array", items: { type: "string" } },
+    audits:       { type: "array", items: { type: "string" } },
+    auditor:      { type: "string" },
+    por:          { type: "string" },
+    insured:      { type: "boolean" },
+    riskNotes:    { type: "string" },
+    scoreBase:    { type: "number", required: true, min: 1, max: 10 },
+    llamaProjects: { type: "array", items: { type: "string" } },
+    aliases:      { type: "array", items: { type: "string" } }
+  }},
+  corridor: { idField: "id", fields: {
+    id:               { type: "string", required: true, pattern: /^[A-Z]{2}-[A-Z]{2}$/ },
+    from:             { type: "string", required: true, pattern: /^[A-Z]{3}$/ },
+    to:               { type: "string", required: true, pattern: /^[A-Z]{3}$/ },
+    legacySettleDays: { type: "number", required: true, min: 0 },
+    prefundDays:      { type: "number", required: true, min: 0 },
+    onchainHours:     { type: "number", required: true, min: 0 },
+    avgDailyVolUsd:   { type: "number", min: 0 },
+    wacc:             { type: "number", min: 0, max: 1 },
+    ramps:            { type: "array", items: { type: "object", fields: {
+      country:   { type: "string", required: true },
+      provider:  { type: "string", required: true },
+      rails:     { type: "array", items: { type: "string" }, required: true },
+      direction: { type: "string", enum: ["in", "out", "in/out"] },
+      feeBps:      { type: "number", min: 0, max: 1000 },
+      fixedFeeUsd: { type: "number", min: 0 }
+    }}},
+    costs:            { type: "object", fields: {
+      avgTicketUsd: { type: "number", min: 1 },
+      legacy:       { type: "object", fields: {
+        fxSpreadBps:         { type: "number", min: 0, max: 2000 },
+        correspondentFeeBps: { type: "number", min: 0, max: 1000 },
+        wireFeeUsd:          { type: "number", min: 0 },
+        failureRatePct:      { type: "number", min: 0, max: 100 },
+        repairFeeUsd:        { type: "number", min: 0 }
+      }},
+      stablecoin:   { type: "object", fields: {
+        chain:               { type: "string" },
+        fxSpreadBps:         { type: "number", min: 0, max: 2000 },
+        failureRatePct:      { type: "number", min: 0, max: 100 },
+        repairFeeUsd:        { type: "number", min: 0 }
+      }}
+    }},
+    notes:            { type: "string" }
+  }}
+};
+function validateAgainst(fields, obj, prefix = "") {
+  const errors = [];
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) return [`${prefix || "body"} must be an object`];
+  for (const k of Object.keys(obj)) if (!fields[k]) errors.push(`${prefix}${k} is not a known field`);
+  for (const [k, rule] of Object.entries(fields)) {
+    const v = obj[k], name = prefix + k;
+    if (v == null) { if (rule.required) errors.push(`${name} is required`); continue; }
+    errors.push(...validateValue(rule, v, name));
+  }
+  return errors;
+}
+function registryErrors(kind, data) {
+  const errors = validateAgainst(REGISTRY_SCHEMAS[kind].fields, data);
+  return errors.length ? errors : (REGISTRY_SCHEMAS[kind].check?.(data) || []);
+}
+function validateValue(rule, v, name) {
+  if (rule.type === "array") {
+    if (!Array.isArray(v)) return [`${name} must be an array`];
+    return v.flatMap((x, i) => validateValue(rule.items, x, `${name}[${i}]`));
+  }
+  if (rule.type === "object") return validateAgainst(rule.fields, v, `${name}.`);
+  if (typeof v !== rule.type || (rule.type === "number" && !isFinite(v))) return [`${name} must be a ${rule.type}`];
+  const errors = [];
+  if (rule.enum && !rule.enum.includes(v)) errors.push(`${name} must be one of ${rule.enum.join(", ")}`);
+  if (rule.pattern && !rule.pattern.test(v)) errors.push(`${name} has an invalid format`);
+  if (rule.min != null && v < rule.min) errors.push(`${name} must be >= ${rule.min}`);
+  if (rule.max != null && v > rule.max) errors.push(`${name} must be <= ${rule.max}`);
+  return errors;
+}
+// Serial ids from the URL; null for anything pg would reject as an int ("abc", "1.5", overflow)
+function parseId(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 && n <= 2147483647 ? n : null;
+}
+function registryId(kind, idOrEntry) {
+  const raw = typeof idOrEntry === "string" ? idOrEntry : idOrEntry?.[REGISTRY_SCHEMAS[kind].idField];
+  return kind === "platform" ? String(raw || "").toLowerCase() : String(raw || "").toUpperCase();
+}
+const registryRows = new Map(); // `${kind}:${id}` -> { kind, id, data, retired, updatedAt, updatedBy }
+const registry = { coins: [], platforms: { cefi: [], defi: [] }, corridors: [] };
+function rebuildRegistry() {
+  const live = [...registryRows.values()].filter(r => !r.retired);
+  registry.coins = live.filter(r => r.kind === "coin").map(r => r.data);
+  registry.platforms = {
+    cefi: live.filter(r => r.kind === "platform" && r.data.category === "cefi").map(r => r.data),
+    defi: live.filter(r => r.kind === "platform" && r.data.category === "defi").map(r => r.data)
+  };
+  registry.corridors = live.filter(r => r.kind === "corridor").map(r => r.data);
+}
+function seedRegistryRows() {
+  const seeds = [
+    ...SEEDED_STABLES.map(d => ["coin", d]),
+    ...SEEDED_PLATFORMS.cefi.map(d => ["platform", { ...d, category: "cefi" }]),
+    ...SEEDED_PLATFORMS.defi.map(d => ["platform", { ...d, category: "defi" }]),
+    ...SEEDED_CORRIDORS.map(d => ["corridor", d])
+  ];
+  for (const [kind, data] of seeds) {
+    const id = registryId(kind, data);
+    registryRows.set(`${kind}:${id}`, { kind, id, data: { ...data }, retired: false, updatedAt: null, updatedBy: "seed" });
+  }
+  return seeds;
+}
+// Seed fields added after a row was first stored (corridor costs, ramp fees, reserves, llamaProjects,
+// aliases) are merged into it: keys the stored data lacks are filled, recursing into objects and into
+// array items matched on their shared scalar fields (ramps by country/provider). sl_registry.seed keeps
+// the seed last merged, so a key an admin has since removed is not put back on the next boot.
+const isPlainObject = v => v != null && typeof v === "object" && !Array.isArray(v);
+function sameSeedItem(a, b) {
+  if (!isPlainObject(a) || !isPlainObject(b)) return false;
+  const shared = Object.keys(a).filter(k => k in b && typeof a[k] !== "object" && typeof b[k] !== "object");
+  return shared.length > 0 && shared.every(k => a[k] === b[k]);
+}
+function mergeSeed(data, seed, applied) {
+  if (!isPlainObject(data) || !isPlainObject(seed)) return data;
+  const out = { ...data };
+  for (const [k, v] of Object.entries(seed)) {
+    const prev = isPlainObject(applied) ? applied[k] : undefined;
+    if (out[k] === undefined) { if (prev === undefined) out[k] = v; continue; }
+    if (Array.isArray(v) && Array.isArray(out[k])) {
+      out[k] = out[k].map(item => {
+        const s = v.find(x => sameSeedItem(item, x));
+        return s ? mergeSeed(item, s, Array.isArray(prev) ? prev.find(x => sameSeedItem(item, x)) : undefined) : item;
+      });
+    } else out[k] = mergeSeed(out[k], v, prev);
+  }
+  return out;
+}
+async function loadRegistryFromDb() {
+  const seeds = seedRegistryRows();
+  const stored = new Map((await db.query("select kind, entity_id, data, seed from sl_registry")).rows.map(r => [`${r.kind}:${r.entity_id}`, r]));
+  for (const [kind, data] of seeds) {
+    const id = registryId(kind, data), cur = stored.get(`${kind}:${id}`);
+    if (!cur) {
+      await db.query(
+        "insert into sl_registry (kind, entity_id, data, seed, updated_by) values ($1,$2,$3,$4,'seed') on conflict (kind, entity_id) do nothing",
+        [kind, id, data, data]
+      );
+      continue;
+    }
+    if (isDeepStrictEqual(cur.seed, data)) continue;
+    const merged = mergeSeed(cur.data, data, cur.seed);
+    if (isDeepStrictEqual(merged, cur.data) || registryErrors(kind, merged).length) {
+      await db.query("update sl_registry set seed=$3 where kind=$1 and entity_id=$2", [kind, id, data]);
+      continue;
+    }
+    await inTransaction(async q => {
+      await q("update sl_registry set data=$3, seed=$4, updated_by='seed', updated_at=now() where kind=$1 and entity_id=$2", [kind, id, merged, data]);
+      await q(
+        "insert into sl_registry_audit (kind, entity_id, action, actor, before, after) values ($1,$2,'update','seed',$3,$4)",
+        [kind, id, cur.data, merged]
+      );
+    });
+  }
+  const r = await db.query("select kind, entity_id, data, retired, updated_by, updated_at from sl_registry order by id");
+  registryRows.clear();
+  for (const row of r.rows) {
+    registryRows.set(`${row.kind}:${row.entity_id}`, { kind: row.kind, id: row.entity_id, data: row.data, retired: row.retired, updatedAt: row.updated_at, updatedBy: row.updated_by });
+  }
+  rebuildRegistry();
+  invalidateRegistryCaches();
+}
+function invalidateRegistryCaches() {
+  memory.stablecoins = { data: null, t: 0 };
+  memory.platforms = { data: null, t: 0 };
+  marketRefreshedAt = 0;
+}
+// Runs fn(query) on one pooled client inside begin/commit; rolls back and rethrows on failure
+async function inTransaction(fn) {
+  const client = await db.connect();
+  try {
+    await client.query("begin");
+    const out = await fn((text, params) => client.query(text, params));
+    await client.query("commit");
+    return out;
+  } catch (e) {
+    await client.query("rollback").catch(() => {});
+    throw e;
+  } finally { client.release(); }
+}
+const registryAuditMemory = [];
+async function writeRegistryEntry(kind, id, { data, retired, action, actor, before }) {
+  const row = { kind, id, data, retired, updatedAt: new Date().toISOString(), updatedBy: actor };
+  if (db) {
+    await inTransaction(async q => {
+      await q(
+        `insert into sl_registry (kind, entity_id, data, retired, updated_by, updated_at) values ($1,$2,$3,$4,$5,now())
+         on conflict (kind, entity_id) do update set data=excluded.data, retired=excluded.retired, updated_by=excluded.updated_by, updated_at=now()`,
+        [kind, id, data, retired, actor]
+      );
+      await q(
+        "insert into sl_registry_audit (kind, entity_id, action, actor, before, after) values ($1,$2,$3,$4,$5,$6)",
+        [kind, id, action, actor, before, data]
+      );
+    });
+  } else {
+    registryAuditMemory.push({ kind, entityId: id, action, actor, before, after: data, createdAt: row.updatedAt });
+    if (registryAuditMemory.length > 5000) registryAuditMemory.shift();
+  }
+  registryRows.set(`${kind}:${id}`, row);
+  rebuildRegistry();
+  invalidateRegistryCaches();
+  emitEvent("registry.changed", { kind, id, action, actor, before, after: data, retired });
+  return row;
+}
+seedRegistryRows();
+rebuildRegistry();
+
 // ===== Scoring =====
+// One declarative model drives score, breakdown and "why" text. Each factor is either a list of
+// rules (first match wins, its weight is the factor's points) or a formula over the context.
+// Bump SCORING_MODEL.version whenever a weight or matcher changes.
 const clamp10 = n => Math.max(1, Math.min(10, Math.round(n*10)/10));
 const jurisdictionToKey = s => (s||"").toUpperCase();
+const round2 = n => Math.round(n*100)/100;
+const round4 = n => Math.round(n*10000)/10000;
+const SCORING_MODEL = {
+  version: "2.0.0",
+  // Published with the model so users can see why a number moved between versions
+  notes: {
+    "2.0.0": [
+      "Score, breakdown and why text now come from this one model. Before 2.0.0 the platform breakdown gave " +
+      "+0.4 for full proof of reserves and -0.2 for partial, while the published platform score gave nothing for " +
+      "full PoR and -0.3 for partial. The model keeps the published score's rules, so published scores are unchanged " +
+      "and breakdowns for platforms with full PoR show 0.4 less than before."
+    ]
+  },
+  stablecoin: {
+    base: { value: 5, describe: "Flat starting point for every stablecoin" },
+    factors: [
+      { key:"jurisdiction", label:"Regulated jurisdiction", input:"jurisdiction", rules:[
+        { when:"Jurisdiction mentions NYDFS or US (MSB)", weight:2, test: sc => /(NYDFS|US\s*\(MSB)/i.test(sc.jurisdiction || "") }
+      ]},
+      { key:"auditor", label:"Auditor / attestor", input:"auditor", rules:[
+        { when:"Auditor is Grant Thornton", weight:1,   test: sc => (sc.auditor || "").toLowerCase().includes("grant thornton") },
+        { when:"Auditor is Withum",         weight:0.8, test: sc => (sc.auditor || "").toLowerCase().includes("withum") },
+        { when:"Auditor is BDO",            weight:0.3, test: sc => (sc.auditor || "").toLowerCase().includes("bdo") }
+      ]},
+      { key:"model", label:"Collateral model", input:"model", rules:[
+        { when:"Model is crypto-collateralized", weight:-0.8, test: sc => (sc.model || "") === "crypto-collateralized" }
+      ]},
+      { key:"offshore", label:"Offshore / decentralized issuer", input:"jurisdiction", rules:[
+        { when:"Jurisdiction is offshore or decentralized", weight:-0.7, test: sc => /OFFSHORE|DECENTRALIZED/i.test(jurisdictionToKey(sc.jurisdiction)) }
+      ]},
+      { key:"genius", label:"GENIUS Act readiness", input:"genius", rules:[
+        { when:"GENIUS status is yes or likely", weight:1.5, test: sc => /yes|likely/.test((sc.genius || "").toLowerCase()) }
+      ]},
+      { key:"depeg", label:"Depeg history", contextInput:"depegIncidents", formula:"-min(2, 0.7 × depeg incidents in lookback window)",
+        compute: (_sc, ctx) => -Math.min(2, (ctx.depegIncidents || 0) * 0.7),
+        describe: (_sc, ctx) => `${ctx.depegIncidents || 0} depeg incident(s)` }
+    ]
+  },
+  platform: {
+    base: { field:"scoreBase", fallback: 6.5, describe: "Analyst base score (scoreBase), 6.5 when missing" },
+    factors: [
+      { key:"licenses", label:"Licensing", input:"licenses", rules:[
+        { when:"Holds an NYDFS, trust, MSB or VASP license", weight:0.6, test: p => (p.licenses || []).some(x => /NYDFS|TRUST|MSB|VASP/i.test(x)) }
+      ]},
+      { key:"auditor", label:"Auditor", input:"auditor", rules:[
+        { when:"Auditor is Deloitte", weight:0.3, test: p => (p.auditor || "").toLowerCase().includes("deloitte") }
+      ]},
+      // no bonus for full PoR: 2.0.0 kept the published score's rule over the old breakdown's +0.4 (see notes)
+      { key:"por", label:"Proof of reserves", input:"por", rules:[
+        { when:"PoR is partial", weight:-0.3, test: p => (p.por || "").toLowerCase().includes("partial") }
+      ]},
+      { key:"risk", label:"Risk notes", input:"riskNotes", rules:[
+        { when:"Risk notes mention regulatory action", weight:-0.8, test: p => (p.riskNotes || "").toLowerCase().includes("regulatory action") }
+      ]}
+    ]
+  }
+};
+function modelBase(spec, subject) {
+  return spec.base.field ? (subject[spec.base.field] || spec.base.fallback) : spec.base.value;
+}
+function evaluateModel(spec, subject, ctx = {}) {
+  const base = modelBase(spec, subject);
+  const factors = spec.factors.map(f => {
+    const input = f.contextInput ? (ctx[f.contextInput] ?? 0) : (subject[f.input] ?? null);
+    if (f.compute) return { key: f.key, label: f.label, input, points: f.compute(subject, ctx), matched: f.describe(subject, ctx) };
+    const rule = f.rules.find(r => r.test(subject, ctx));
+    return { key: f.key, label: f.label, input, points: rule ? rule.weight : 0, matched: rule ? rule.when : null };
+  });
+  const total = clamp10(factors.reduce((a, f) => a + f.points, base));
+  const parts = { base, ...Object.fromEntries(factors.map(f => [f.key, f.points])) };
+  const moved = factors.filter(f => f.points !== 0)
+    .map(f => `${f.points > 0 ? "+" : ""}${round2(f.points)} ${f.label.toLowerCase()} (${f.matched})`);
+  const why = `Score ${total}/10 under methodology v${SCORING_MODEL.version}: base ${base}` + (moved.length ? `; ${moved.join("; ")}` : "; no adjustments") + ".";
+  return { parts, total, factors, why, version: SCORING_MODEL.version };
+}
+// Public shape of the model (matchers are code, so only their descriptions and weights are published)
+function describeScoringModel() {
+  const pub = spec => ({
+    base: spec.base.field ? { field: spec.base.field, fallback: spec.base.fallback, description: spec.base.describe } : { value: spec.base.value, description: spec.base.describe },
+    factors: spec.factors.map(f => f.compute
+      ? { key: f.key, label: f.label, input: f.contextInput, formula: f.formula }
+      : { key: f.key, label: f.label, input: f.input, match: "first", rules: f.rules.map(r => ({ when: r.when, weight: r.weight })) })
+  });
+  return { version: SCORING_MODEL.version, notes: SCORING_MODEL.notes, scale: { min: 1, max: 10, rounding: 0.1 }, stablecoin: pub(SCORING_MODEL.stablecoin), platform: pub(SCORING_MODEL.platform), yieldRisk: describeYieldRiskModel() };
+}
 function scoreStablecoin(sc, depegIncidents = 0) {
-  let s = 5;
-  const juris = sc.jurisdiction || "";
-  const auditor = (sc.auditor || "").toLowerCase();
-  const genius = (sc.genius || "").toLowerCase();
-  if (/(NYDFS|US\s*\(MSB)/i.test(juris)) s += 2;
-  if (auditor.includes("grant thornton")) s += 1;
-  if (auditor.includes("withum")) s += 0.8;
-  if (auditor.includes("bdo")) s += 0.3;
-  if (sc.model === "crypto-collateralized") s -= 0.8;
-  if (/OFFSHORE|DECENTRALIZED/i.test(jurisdictionToKey(juris))) s -= 0.7;
-  if (genius === "yes" || genius === "likely") s += 1.5;
-  s -= Math.min(2, depegIncidents * 0.7);
-  return clamp10(s);
+  return evaluateModel(SCORING_MODEL.stablecoin, sc, { depegIncidents }).total;
 }
 function scoreBreakdown(sc, depegIncidents = 0) {
-  const parts = {
-    base: 5,
-    jurisdiction: /(NYDFS|US\s*\(MSB)/i.test(sc.jurisdiction || "") ? 2 : 0,
-    auditor:
-      (sc.auditor || "").toLowerCase().includes("grant thornton") ? 1 :
-      (sc.auditor || "").toLowerCase().includes("withum") ? 0.8 :
-      (sc.auditor || "").toLowerCase().includes("bdo") ? 0.3 : 0,
-    model: (sc.model || "") === "crypto-collateralized" ? -0.8 : 0,
-    offshore: /OFFSHORE|DECENTRALIZED/i.test(jurisdictionToKey(sc.jurisdiction || "")) ? -0.7 : 0,
-    genius: (sc.genius || "").toLowerCase().match(/yes|likely/) ? 1.5 : 0,
-    depeg: -Math.min(2, depegIncidents * 0.7)
-  };
-  return { parts, total: clamp10(Object.values(parts).reduce((a,b)=>a+b,0)) };
+  const { parts, total, why, version } = evaluateModel(SCORING_MODEL.stablecoin, sc, { depegIncidents });
+  return { parts, total, why, version };
 }
 function scorePlatform(p) {
-  let s = p.scoreBase || 6.5;
-  if ((p.licenses || []).some(x => /NYDFS|TRUST|MSB|VASP/i.test(x))) s += 0.6;
-  if ((p.auditor || "").toLowerCase().includes("deloitte")) s += 0.3;
-  if ((p.por || "").toLowerCase().includes("partial")) s -= 0.3;
-  if ((p.riskNotes || "").toLowerCase().includes("regulatory action")) s -= 0.8;
-  return clamp10(s);
+  return evaluateModel(SCORING_MODEL.platform, p).total;
 }
 function platformBreakdown(p) {
-  const parts = {
-    base: p.scoreBase || 6.5,
-    licenses: (p.licenses || []).some(x => /NYDFS|TRUST|MSB|VASP/i.test(x)) ? 0.6 : 0,
-    auditor: (p.auditor || "").toLowerCase().includes("deloitte") ? 0.3 : 0,
-    por: (p.por || "").toLowerCase().includes("yes") ? 0.4 : ((p.por || "").toLowerCase().includes("partial") ? -0.2 : 0),
-    risk: (p.riskNotes || "").toLowerCase().includes("regulatory action") ? -0.8 : 0
+  const { parts, total, why, version } = evaluateModel(SCORING_MODEL.platform, p);
+  return { parts, total, why, version };
+}
+
+// ===== Risk-adjusted yield =====
+// Blends coin, protocol and pool risk into a 0–10 riskScore, then discounts a reward-haircut APY by it.
+// Pools map to DeFi platforms through each platform's llamaProjects (DefiLlama project slugs).
+const YIELD_RISK_MODEL = {
+  version: "1.0.0",
+  rewardHaircut: 0.5,
+  riskExponent: 2,            // squaring keeps a thin, volatile farm from out-ranking a deep base-rate pool on headline APY
+  unknownProtocolScore: 5,
+  formula: "riskAdjustedApy = (apyBase + rewardHaircut × apyReward) × (riskScore / 10) ^ riskExponent; riskScore = Σ weight × component score (0–10)",
+  components: [
+    { key:"coin", label:"Coin compliance score", weight:0.3, formula:"stablecoin score (1–10); 0 when the coin isn't tracked",
+      compute: (_p, ctx) => ({ score: ctx.coinScore ?? 0, input: ctx.coinScore ?? null }) },
+    { key:"protocol", label:"Protocol platform score", weight:0.3, formula:"DeFi platform score (1–10); unknownProtocolScore when the project isn't in the registry",
+      compute: (_p, ctx) => ({ score: ctx.platform ? scorePlatform(ctx.platform) : YIELD_RISK_MODEL.unknownProtocolScore, input: ctx.platform?.name ?? null }) },
+    { key:"depth", label:"TVL depth", weight:0.15, formula:"10 × (log10(TVL) − 5) / 4, clamped to 0–10 ($100k → 0, $1B → 10)",
+      compute: p => ({ score: clamp(10 * (Math.log10(Math.max(1, p.tvlUsd || 0)) - 5) / 4, 0, 10), input: p.tvlUsd ?? null }) },
+    { key:"stability", label:"APY stability", weight:0.15, formula:"10 / (1 + σ) with σ the APY standard deviation in pp; |APY − 30d mean| when σ is missing",
+      compute: p => {
+        const sigma = typeof p.sigma === "number" ? p.sigma : (typeof p.apyMean30d === "number" ? Math.abs(p.apy - p.apyMean30d) : null);
+        return { score: sigma == null ? 5 : 10 / (1 + sigma), input: sigma };
+      } },
+    { key:"baseShare", label:"Base APY share", weight:0.1, formula:"10 × base APY / total APY (reward-only pools score 0)",
+      compute: p => { const share = p.apy > 0 ? clamp((p.apyBase ?? p.apy) / p.apy, 0, 1) : 1; return { score: 10 * share, input: share }; } }
+  ]
+};
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+function describeYieldRiskModel() {
+  const { components, ...rest } = YIELD_RISK_MODEL;
+  return { ...rest, components: components.map(({ compute, ...c }) => c) };
+}
+function platformForProject(project) {
+  const slug = String(project || "").toLowerCase();
+  if (!slug) return null;
+  for (const p of registry.platforms.defi) {
+    if ((p.llamaProjects || []).includes(slug)) return p;
+  }
+  return registry.platforms.defi.find(p => slug.startsWith(p.name.toLowerCase().replace(/\s+/g, "-"))) || null;
+}
+function riskAdjustYield(pool, coinScore) {
+  const platform = platformForProject(pool.project);
+  const components = YIELD_RISK_MODEL.components.map(c => {
+    const { score, input } = c.compute(pool, { coinScore, platform });
+    return { key: c.key, label: c.label, weight: c.weight, score: round2(score), input };
+  });
+  const riskScore = round2(components.reduce((a, c) => a + c.weight * c.score, 0));
+  const apyReward = pool.apyReward ?? Math.max(0, pool.apy - (pool.apyBase ?? pool.apy));
+  const effectiveApy = (pool.apyBase ?? pool.apy - apyReward) + YIELD_RISK_MODEL.rewardHaircut * apyReward;
+  const weak = components.filter(c => c.score < 5).map(c => `${c.label.toLowerCase()} ${c.score}/10`);
+  return {
+    riskScore, effectiveApy: round2(effectiveApy), riskAdjustedApy: round2(effectiveApy * Math.pow(riskScore / 10, YIELD_RISK_MODEL.riskExponent)),
+    explanation: {
+      version: YIELD_RISK_MODEL.version, protocol: platform?.name ?? null, components,
+      why: weak.length ? `Held back by ${weak.join(", ")}` : "No component below 5/10"
+    }
+  };
+}
+
+// ===== Score history =====
+// A snapshot is written when the version, total or any factor changed since the last one for
+// that entity, or when the last one is older than SCORE_SNAPSHOT_INTERVAL_MS (keeps trends dense).
+const SCORE_SNAPSHOT_INTERVAL_MS = Number(process.env.SCORE_SNAPSHOT_INTERVAL_MS || 60 * 60 * 1000);
+const SCORE_MEMORY_MAX = 2_000;
+const scoreMemory = new Map(); // `${type}:${id}` -> [snapshot]
+const lastSnapshot = new Map(); // `${type}:${id}` -> snapshot (write-dedupe for both stores)
+
+function toSnapshot(evaluation, t = Date.now()) {
+  return {
+    t, version: evaluation.version, total: evaluation.total, parts: evaluation.parts,
+    factors: evaluation.factors.map(f => ({ key: f.key, input: f.input, points: f.points, matched: f.matched }))
+  };
+}
+function snapshotChanged(prev, next) {
+  if (!prev) return true;
+  if (prev.version !== next.version || prev.total !== next.total) return true;
+  return JSON.stringify(prev.parts) !== JSON.stringify(next.parts) || JSON.stringify(prev.factors) !== JSON.stringify(next.factors);
+}
+function snapshotScores(type, evaluations) {
+  const now = Date.now();
+  const rows = [];
+  for (const [id, ev] of evaluations) {
+    const key = `${type}:${id}`;
+    const snap = toSnapshot(ev, now);
+    const prev = lastSnapshot.get(key);
+    const changed = snapshotChanged(prev, snap);
+    if (!changed && now - prev.t < SCORE_SNAPSHOT_INTERVAL_MS) continue;
+    if (changed && prev) emitEvent("score.changed", { entityType: type, entityId: id, ...diffSnapshots(prev, snap) });
+    lastSnapshot.set(key, snap);
+    rows.push({ type, id, snap });
+  }
+  if (!rows.length) return;
+  if (db) {
+    db.query(
+      "insert into sl_score_snapshots (entity_type, entity_id, version, total, parts, factors, created_at) select * from unnest($1::text[], $2::text[], $3::text[], $4::float8[], $5::jsonb[], $6::jsonb[], $7::timestamptz[])",
+      [rows.map(r => r.type), rows.map(r => r.id), rows.map(r => r.snap.version), rows.map(r => r.snap.total),
+       rows.map(r => JSON.stringify(r.snap.parts)), rows.map(r => JSON.stringify(r.snap.factors)), rows.map(r => new Date(r.snap.t))]
+    ).catch(e => console.error("score snapshot insert error:", e));
+    return;
+  }
+  for (const { type: tp, id, snap } of rows) {
+    const key = `${tp}:${id}`;
+    const series = scoreMemory.get(key) || [];
+    series.push(snap);
+    if (series.length > SCORE_MEMORY_MAX) series.splice(0, series.length - SCORE_MEMORY_MAX);
+    scoreMemory.set(key, series);
+  }
+}
+async function loadScoreHistory(type, id, sinceMs) {
+  if (db) {
+    const r = await db.query(
+      "select extract(epoch from created_at)*1000 as t, version, total, parts, factors from sl_score_snapshots where entity_type=$1 and entity_id=$2 and created_at >= $3 order by created_at",
+      [type, id, new Date(sinceMs)]
+    );
+    return r.rows.map(x => ({ t: Number(x.t), version: x.version, total: Number(x.total), parts: x.parts, factors: x.factors }));
+  }
+  return (scoreMemory.get(`${type}:${id}`) || []).filter(x => x.t >= sinceMs);
+}
+// Names each factor that moved between two snapshots, with its input before/after
+function diffSnapshots(a, b) {
+  const before = new Map((a.factors || []).map(f => [f.key, f]));
+  const moved = [];
+  if ((a.parts?.base ?? null) !== (b.parts?.base ?? null))
+    moved.push({ factor: "base", from: a.parts?.base ?? null, to: b.parts?.base ?? null, delta: round2((b.parts?.base || 0) - (a.parts?.base || 0)) });
+  for (const f of b.factors || []) {
+    const p = before.get(f.key);
+    const inputChanged = JSON.stringify(p?.input ?? null) !== JSON.stringify(f.input ?? null);
+    if (p && p.points === f.points && !inputChanged) continue;
+    moved.push({ factor: f.key, from: p?.points ?? null, to: f.points, delta: round2(f.points - (p?.points || 0)), inputFrom: p?.input ?? null, inputTo: f.input ?? null });
+  }
+  return {
+    from: a.t, to: b.t, totalFrom: a.total, totalTo: b.total, delta: round2(b.total - a.total),
+    versionFrom: a.version, versionTo: b.version, methodologyChanged: a.version !== b.version, factors: moved
+  };
+}
+function scoreHistoryResponse(snapshots) {
+  const changes = [];
+  for (let i = 1; i < snapshots.length; i++) {
+    const d = diffSnapshots(snapshots[i - 1], snapshots[i]);
+    if (d.factors.length || d.methodologyChanged || d.delta !== 0) changes.push(d);
+  }
+  return {
+    currentVersion: SCORING_MODEL.version,
+    points: snapshots.map(s => ({ t: s.t, total: s.total, version: s.version })),
+    snapshots, changes
   };
-  return { parts, total: clamp10(Object.values(parts).reduce((a,b)=>a+b,0)) };
 }
 
 // ===== Helpers (HTTP pulls) =====
@@ -280,6 +1458,15 @@ async function safeJSON(url, timeoutMs = 12000) {
   } catch { return null; }
   finally { clearTimeout(timer); }
 }
+// safeJSON with retries: linear backoff between attempts, null once all attempts fail
+async function safeJSONRetry(url, { timeoutMs = 12000, retries = 2, backoffMs = 500 } = {}) {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const data = await safeJSON(url, timeoutMs);
+    if (data != null) return data;
+    if (attempt < retries) await new Promise(r => setTimeout(r, backoffMs * (attempt + 1)));
+  }
+  return null;
+}
 async function fetchFREDCSV(seriesId, observationCount = 240) {
   const url = `https://fred.stlouisfed.org/graph/fredgraph.csv?id=${encodeURIComponent(seriesId)}`;
   const r = await fetch(url);
@@ -309,29 +1496,397 @@ async function fetchSOFRLast30() {
   const json = await r.json();
   return (json?.refRates ?? []).map(x => ({ t: x.effectiveDate, v: Number(x.percentRate) })).filter(x => !isNaN(x.v));
 }
+// DefiLlama yield pools, narrowed to stablecoin pools
+async function fetchYieldsFromLlama() {
+  const json = await safeJSONRetry("https://yields.llama.fi/pools", { timeoutMs: 20000 });
+  if (!Array.isArray(json?.data)) throw new Error("DefiLlama yields");
+  return json.data.filter(p => p.stablecoin);
+}
+const NEWS_FEEDS = [
+  { source: "SEC",      url: "https://www.sec.gov/news/pressreleases.rss" },
+  { source: "CFTC",     url: "https://www.cftc.gov/RSS/RSSGP/rssgp.xml" },
+  { source: "Fed",      url: "https://www.federalreserve.gov/feeds/press_all.xml" },
+  { source: "BIS",      url: "https://www.bis.org/doclist/all_pressrels.rss" },
+  { source: "CoinDesk", url: "https://www.coindesk.com/arc/outboundfeeds/rss/" },
+  { source: "The Block", url: "https://www.theblock.co/rss.xml" }
+];
+// Merged regulator and press feeds, newest first; throws only when every feed fails
+async function fetchNewsFeeds() {
+  const settled = await Promise.allSettled(NEWS_FEEDS.map(f => parser.parseURL(f.url)));
+  if (!settled.some(s => s.status === "fulfilled")) throw new Error("news feeds");
+  const items = [];
+  settled.forEach((s, i) => {
+    if (s.status !== "fulfilled") return;
+    for (const it of (s.value.items || []).slice(0, 30))
+      items.push({ source: NEWS_FEEDS[i].source, title: it.title || "", link: it.link || "", isoDate: it.isoDate || it.pubDate || null, contentSnippet: (it.contentSnippet || "").slice(0, 500) });
+  });
+  return items.sort((a, b) => Date.parse(b.isoDate || 0) - Date.parse(a.isoDate || 0)).slice(0, 150);
+}
+async function loadYields(opts) {
+  const r = await cached("yields", "pools", [["defillama-yields", fetchYieldsFromLlama]], opts);
+  memory.yields = { data: r.data, t: r.t };
+  return r;
+}
+// Returns pipeline output (deduped, tagged, classified), not the raw feed items
+async function loadNews(opts) {
+  const r = await cached("news", "feeds", [["rss", fetchNewsFeeds]], opts);
+  const data = processedNews(r);
+  memory.news = { data, t: r.t };
+  return { ...r, data };
+}
+// ===== News pipeline =====
+// Raw feed items → dedupe across sources → tag registry coins/platforms → category + severity.
+// Processing is memoized per fetch and registry version, so admin edits retag on the next read.
+const NEWS_SEVERITIES = ["info", "low", "medium", "high"];
+const NEWS_CATEGORIES = [
+  { key: "enforcement", severity: "high",   test: /enforcement|charged|charges|lawsuit|\bsue[sd]?\b|settle|penalt|\bfined?\b|consent order|cease[- ]and[- ]desist|indict|sanction/ },
+  { key: "depeg",       severity: "high",   test: /de-?peg|los(es|t|ing) (its )?peg|peg (break|slip)|breaks? (its )?peg|below \$1\b/ },
+  { key: "attestation", severity: "medium", test: /attestation|audit|reserve report|proof of reserves|reserves? (report|breakdown|composition)/ },
+  { key: "licensing",   severity: "medium", test: /licen[cs]e|registration|registered|approv|authori[sz]|charter|bitlicense|\bmica\b/ },
+  { key: "launch",      severity: "low",    test: /launch|debut|introduc|rolls? out|goes live|expands? to|integrat/ }
+];
+const NEWS_ALARM = /qualified|shortfall|missing|delay|restat|withdr[ae]w|halt|suspend|frozen|freez/;
+const NEWS_DEDUPE_WINDOW_MS = 3 * 86400000;
+const NEWS_DEDUPE_SIMILARITY = 0.75;
+
+const escapeRx = s => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const stripNote = s => String(s || "").replace(/\s*\(.*?\)\s*/g, " ").trim();
+// Symbols and names match case-sensitively on word boundaries ("Curve" the protocol, not "yield curve");
+// an issuer only tags its coins when it isn't a tracked platform itself (Aave news shouldn't tag GHO)
+function newsMatchers() {
+  const platforms = [...registry.platforms.cefi, ...registry.platforms.defi];
+  const platformNames = new Set(platforms.map(p => p.name.toLowerCase()));
+  const out = [];
+  const add = (type, id, name, terms) => {
+    const words = [...new Set(terms.map(stripNote).filter(t => t.length >= 3))];
+    if (words.length) out.push({ type, id, name, rx: new RegExp(`(^|[^A-Za-z0-9])(${words.map(escapeRx).join("|")})(?![A-Za-z0-9])`) });
+  };
+  for (const c of registry.coins) {
+    const issuer = stripNote(c.issuer);
+    add("coin", c.symbol.toUpperCase(), c.name, [c.symbol, c.name, ...(c.aliases || []), ...(issuer && !platformNames.has(issuer.toLowerCase()) ? [issuer] : [])]);
+  }
+  for (const p of platforms) add("platform", p.name, p.name, [p.name, ...(p.aliases || [])]);
+  return out;
+}
+const canonicalLink = l => { try { const u = new URL(l); return `${u.host.toLowerCase()}${u.pathname.replace(/\/$/, "")}`; } catch { return String(l || ""); } };
+const titleTokens = t => new Set(String(t || "").toLowerCase().replace(/\s[-|–]\s[^-|–]+$/, "").split(/[^a-z0-9$]+/).filter(w => w.length > 2));
+function jaccard(a, b) {
+  let inter = 0;
+  for (const w of a) if (b.has(w)) inter++;
+  return inter / ((a.size + b.size - inter) || 1);
+}
+function classifyNews(text, entities) {
+  const t = text.toLowerCase();
+  const cat = NEWS_CATEGORIES.find(c => c.test.test(t));
+  if (!cat) return { category: "general", severity: entities.length ? "low" : "info" };
+  let level = NEWS_SEVERITIES.indexOf(cat.severity);
+  if (cat.key === "attestation" && NEWS_ALARM.test(t)) level = 3;
+  if (!entities.length && level > 2) level = 2; // untagged enforcement/depeg is about someone we don't track
+  return { category: cat.key, severity: NEWS_SEVERITIES[level] };
+}
+function processNews(raw) {
+  const matchers = newsMatchers();
+  const stories = [];
+  for (const it of [...raw].sort((a, b) => Date.parse(a.isoDate || 0) - Date.parse(b.isoDate || 0))) {
+    const t = Date.parse(it.isoDate || "") || 0, link = canonicalLink(it.link), tokens = titleTokens(it.title);
+    const dup = stories.find(s => s.canonical.has(link) ||
+      (Math.abs(s.t - t) <= NEWS_DEDUPE_WINDOW_MS && jaccard(s.tokens, tokens) >= NEWS_DEDUPE_SIMILARITY));
+    if (dup) {
+      dup.canonical.add(link);
+      if (!dup.item.sources.includes(it.source)) dup.item.sources.push(it.source);
+      dup.item.links.push({ source: it.source, link: it.link });
+      continue;
+    }
+    stories.push({ t, tokens, canonical: new Set([link]), item: { ...it, sources: [it.source], links: [{ source: it.source, link: it.link }] } });
+  }
+  return stories.map(({ item }) => {
+    const text = `${item.title || ""} ${item.contentSnippet || ""}`;
+    const entities = matchers.filter(m => m.rx.test(text)).map(({ type, id, name }) => ({ type, id, name }));
+    const cls = classifyNews(text, entities);
+    return { id: crypto.createHash("sha1").update(canonicalLink(item.link) || item.title).digest("hex").slice(0, 12), ...item, entities, ...cls, relevant: entities.length > 0 || cls.category !== "general" };
+  }).sort((a, b) => Date.parse(b.isoDate || 0) - Date.parse(a.isoDate || 0));
+}
+let newsProcessed = { t: null, coins: null, platforms: null, items: [] };
+function processedNews(r) {
+  if (newsProcessed.t !== r.t || newsProcessed.coins !== registry.coins || newsProcessed.platforms !== registry.platforms)
+    newsProcessed = { t: r.t, coins: registry.coins, platforms: registry.platforms, items: processNews(r.data || []) };
+  return newsProcessed.items;
+}
+const newsAbout = (n, type, id) => n.entities.some(e => e.type === type && e.id.toLowerCase() === String(id).toLowerCase());
+
+// Caches the whole FRED series once; callers slice the observations they need
+async function fredSeries(id, n, opts) {
+  const r = await cached("fred", id, [["fred", () => fetchFREDCSV(id, Infinity)]], opts);
+  return { ...r, data: r.data.slice(-n) };
+}
+// NY Fed is the primary SOFR source; FRED republishes the same series a day later
+const sofrSeries = opts => cached("nyfed", "sofr:30", [["nyfed", fetchSOFRLast30], ["fred", () => fetchFREDCSV("SOFR", 30)]], opts);
+
+// ===== Market data (peg price / supply providers) =====
+// Providers return { [SYMBOL]: { price?, change24h?, supply?, supplyByChain?, supplyByChainAgo? } } or null on failure.
+// supplyByChainAgo is { [chain]: { d7, d30 } }: the chain's circulating supply 7 and 30 days earlier.
+// MARKET_PROVIDERS is an ordered list; for each field the first provider that has it wins.
+const MARKET_FIELDS = ["price", "change24h", "supply", "supplyByChain", "supplyByChainAgo"];
+const MARKET_STALE_MS = Number(process.env.MARKET_STALE_MS || 15 * 60 * 1000);
+const MARKET_FIXTURE = process.env.MARKET_FIXTURE || path.join(__dirname, "fixtures", "market.json");
+const marketProviders = {
+  async defillama(stables) {
+    const json = await safeJSONRetry("https://stablecoins.llama.fi/stablecoins?includePrices=true");
+    if (!json?.peggedAssets) return null;
+    const wanted = new Set(stables.map(s => s.symbol.toUpperCase()));
+    const out = {};
+    for (const a of json.peggedAssets) {
+      const sym = (a.symbol || "").toUpperCase();
+      if (!wanted.has(sym) || out[sym]) continue;
+      const supplyByChain = {}, supplyByChainAgo = {};
+      for (const [chain, v] of Object.entries(a.chainCirculating || {})) {
+        const n = v?.current?.peggedUSD;
+        if (typeof n !== "number") continue;
+        supplyByChain[chain] = n;
+        supplyByChainAgo[chain] = { d7: v.circulatingPrevWeek?.peggedUSD ?? null, d30: v.circulatingPrevMonth?.peggedUSD ?? null };
+      }
+      out[sym] = {
+        price: typeof a.price === "number" ? a.price : null,
+        supply: a.circulating?.peggedUSD ?? null,
+        supplyByChain: Object.keys(supplyByChain).length ? supplyByChain : null,
+        supplyByChainAgo: Object.keys(supplyByChainAgo).length ? supplyByChainAgo : null
+      };
+    }
+    return out;
+  },
+  async coingecko(stables) {
+    const ids = stables.filter(s => s.cgId).map(s => s.cgId);
+    if (!ids.length) return {};
+    const json = await safeJSONRetry(`https://api.coingecko.com/api/v3/simple/price?ids=${ids.join(",")}&vs_currencies=usd&include_24hr_change=true&include_market_cap=true`);
+    if (!json) return null;
+    const out = {};
+    for (const s of stables) {
+      const row = s.cgId && json[s.cgId];
+      if (!row) continue;
+      // supply is in tokens like DefiLlama's circulating; market cap only equals that for $1 coins (not sDAI)
+      const supply = row.usd_market_cap && row.usd > 0 ? row.usd_market_cap / row.usd : null;
+      out[s.symbol.toUpperCase()] = { price: row.usd ?? null, change24h: row.usd_24h_change ?? null, supply };
+    }
+    return out;
+  },
+  // Offline provider: reads a JSON file keyed by symbol (see fixtures/market.json)
+  async fixture() {
+    try { return Object.fromEntries(Object.entries(JSON.parse(await fs.readFile(MARKET_FIXTURE, "utf8"))).map(([k, v]) => [k.toUpperCase(), v])); }
+    catch { return null; }
+  }
+};
+const MARKET_BREAKERS = { defillama: "defillama-stablecoins", coingecko: "coingecko", fixture: "fixture" };
+const marketProviderNames = (process.env.MARKET_PROVIDERS || "defillama,coingecko")
+  .split(",").map(s => s.trim()).filter(n => marketProviders[n]);
+// symbol -> field -> { value, t, source }; last good values survive failed refreshes
+const marketStore = new Map();
+let marketRefreshedAt = 0;
+
+async function refreshMarketData() {
+  // keyed by the coin set so registry edits don't serve a snapshot missing new coins
+  const coinSet = registry.coins.map(s => s.symbol.toUpperCase()).sort().join(",");
+  const results = await Promise.all(marketProviderNames.map(async name => {
+    try {
+      const r = await cached("market", `${name}:${coinSet}`, [[MARKET_BREAKERS[name] || name, () => marketProviders[name](registry.coins)]]);
+      return [name, r.data, r.t, r.stale];
+    } catch { return [name, null, 0, true]; }
+  }));
+  const observations = [], ticks = [];
+  for (const sc of registry.coins) {
+    const sym = sc.symbol.toUpperCase();
+    const entry = marketStore.get(sym) || {};
+    const prevPriceT = entry.price?.t || 0;
+    for (const field of MARKET_FIELDS) {
+      for (const [name, data, t] of results) {
+        const v = data?.[sym]?.[field];
+        if (v != null) { entry[field] = { value: v, t, source: name }; break; }
+      }
+    }
+    marketStore.set(sym, entry);
+    if (entry.price && entry.price.t > prevPriceT) ticks.push({ symbol: sym, price: entry.price.value, source: entry.price.source, asOf: entry.price.t });
+    if (sc.pegged !== false && entry.price && entry.price.t > prevPriceT)
+      observations.push({ symbol: sym, price: entry.price.value, source: entry.price.source, t: entry.price.t });
+  }
+  marketRefreshedAt = Date.now();
+  if (ticks.length) emitEvent("price.tick", { prices: ticks });
+  await recordPegObservations(observations);
+  return results.map(([name, data, , stale]) => ({ provider: name, ok: data != null, stale }));
+}
+function marketFor(symbol, now = Date.now()) {
+  const entry = marketStore.get(symbol.toUpperCase()) || {};
+  const market = {};
+  for (const field of MARKET_FIELDS) {
+    const v = entry[field];
+    market[field] = v
+      ? { value: v.value, asOf: v.t, source: v.source, stale: now - v.t > MARKET_STALE_MS }
+      : { value: null, asOf: null, source: null, stale: true };
+  }
+  return market;
+}
+
+// ===== Chain distribution =====
+// Per-chain supply of the tracked coins from the market store (supplyByChain / supplyByChainAgo).
+// Bridged vs native comes from DefiLlama's per-chain chart and covers every stablecoin on the chain.
+// Unpegged wrappers (sDAI) are left out: their supply is DAI already counted under DAI.
+function chainDistribution() {
+  const chains = new Map();
+  let total = 0;
+  for (const sc of registry.coins) {
+    if (sc.pegged === false) continue;
+    const m = marketFor(sc.symbol);
+    const by = m.supplyByChain.value || {}, ago = m.supplyByChainAgo.value || {};
+    const coinTotal = Object.values(by).reduce((a, b) => a + b, 0);
+    for (const [chain, supplyUsd] of Object.entries(by)) {
+      const a = ago[chain] || {};
+      const c = chains.get(chain) || { chain, supplyUsd: 0, coins: [] };
+      c.supplyUsd += supplyUsd;
+      c.coins.push({
+        symbol: sc.symbol, supplyUsd, shareOfCoin: coinTotal ? round4(supplyUsd / coinTotal) : null,
+        flow7d: a.d7 != null ? supplyUsd - a.d7 : null, flow30d: a.d30 != null ? supplyUsd - a.d30 : null,
+        asOf: m.supplyByChain.asOf, stale: m.supplyByChain.stale
+      });
+      chains.set(chain, c);
+      total += supplyUsd;
+    }
+  }
+  const sumFlow = (coins, k) => coins.some(x => x[k] != null) ? coins.reduce((a, x) => a + (x[k] || 0), 0) : null;
+  const list = [...chains.values()].map(c => ({
+    chain: c.chain, supplyUsd: c.supplyUsd, share: total ? round4(c.supplyUsd / total) : null,
+    flow7d: sumFlow(c.coins, "flow7d"), flow30d: sumFlow(c.coins, "flow30d"),
+    coins: c.coins.map(x => ({ ...x, shareOfChain: round4(x.supplyUsd / c.supplyUsd) })).sort((a, b) => b.supplyUsd - a.supplyUsd)
+  })).sort((a, b) => b.supplyUsd - a.supplyUsd);
+  return { totalSupplyUsd: total, chains: list };
+}
+async function fetchChainBridgeSplit(chain) {
+  const json = await safeJSONRetry(`https://stablecoins.llama.fi/stablecoincharts/${encodeURIComponent(chain)}`);
+  const last = Array.isArray(json) ? json[json.length - 1] : null;
+  if (!last) throw new Error("DefiLlama chain chart");
+  const native = last.totalMintedUSD?.peggedUSD ?? null, bridged = last.totalBridgedToUSD?.peggedUSD ?? null;
+  return { asOf: Number(last.date) * 1000, nativeUsd: native, bridgedUsd: bridged,
+    bridgedShare: native != null && bridged != null && native + bridged > 0 ? round4(bridged / (native + bridged)) : null };
+}
+async function refreshMarketIfStale() {
+  if (Date.now() - marketRefreshedAt > TTL.stablecoins) await refreshMarketData().catch(() => null);
+}
+
+// ===== Depeg history =====
+// Observations go to sl_peg_observations when DATABASE_URL is set, otherwise a capped in-memory series.
+// An incident is a run of observations at or beyond DEPEG_THRESHOLD lasting at least DEPEG_MIN_MINUTES.
+const DEPEG_THRESHOLD = Number(process.env.DEPEG_THRESHOLD || 0.005);
+const DEPEG_MIN_MINUTES = Number(process.env.DEPEG_MIN_MINUTES || 10);
+const DEPEG_LOOKBACK_DAYS = Number(process.env.DEPEG_LOOKBACK_DAYS || 90);
+const PEG_MEMORY_MAX = 20_000;
+const pegMemory = new Map(); // symbol -> [{ t, price }]
+
+async function recordPegObservations(rows) {
+  if (!rows.length) return;
+  if (db) {
+    try {
+      await db.query(
+        "insert into sl_peg_observations (symbol, price, source, observed_at) select * from unnest($1::text[], $2::float8[], $3::text[], $4::timestamptz[])",
+        [rows.map(r => r.symbol), rows.map(r => r.price), rows.map(r => r.source), rows.map(r => new Date(r.t))]
+      );
+      return;
+    } catch (e) { console.error("peg observations insert error:", e); }
+  }
+  for (const r of rows) {
+    const series = pegMemory.get(r.symbol) || [];
+    series.push({ t: r.t, price: r.price });
+    if (series.length > PEG_MEMORY_MAX) series.splice(0, series.length - PEG_MEMORY_MAX);
+    pegMemory.set(r.symbol, series);
+  }
+}
+async function loadPegObservations(symbol, sinceMs) {
+  const sym = symbol.toUpperCase();
+  if (db) {
+    try {
+      const r = await db.query(
+        "select extract(epoch from observed_at)*1000 as t, price from sl_peg_observations where symbol=$1 and observed_at >= $2 order by observed_at",
+        [sym, new Date(sinceMs)]
+      );
+      return r.rows.map(x => ({ t: Number(x.t), price: Number(x.price) }));
+    } catch (e) { console.error("peg observations query error:", e); }
+  }
+  return (pegMemory.get(sym) || []).filter(x => x.t >= sinceMs);
+}
+function detectDepegIncidents(series, { threshold = DEPEG_THRESHOLD, minMinutes = DEPEG_MIN_MINUTES } = {}) {
+  const incidents = [];
+  let cur = null;
+  const close = (endT) => {
+    const durationMin = ((endT ?? series[series.length - 1].t) - cur.start) / 60000;
+    if (durationMin >= minMinutes) {
+      incidents.push({
+        start: cur.start, end: endT, ongoing: endT == null,
+        maxDeviation: cur.maxDeviation, minPrice: cur.minPrice, maxPrice: cur.maxPrice,
+        recoveryMinutes: endT != null ? Math.round(durationMin) : null,
+        durationMinutes: Math.round(durationMin)
+      });
+    }
+    cur = null;
+  };
+  for (const o of series) {
+    const dev = Math.abs(1 - o.price);
+    if (dev >= threshold) {
+      if (!cur) cur = { start: o.t, maxDeviation: dev, minPrice: o.price, maxPrice: o.price };
+      cur.maxDeviation = Math.max(cur.maxDeviation, dev);
+      cur.minPrice = Math.min(cur.minPrice, o.price);
+      cur.maxPrice = Math.max(cur.maxPrice, o.price);
+    } else if (cur) close(o.t);
+  }
+  if (cur) close(null);
+  return incidents;
+}
+async function depegIncidentsFor(symbol, lookbackDays = DEPEG_LOOKBACK_DAYS) {
+  const series = await loadPegObservations(symbol, Date.now() - lookbackDays * 86400000);
+  return detectDepegIncidents(series);
+}
+async function depegCounts(lookbackDays = DEPEG_LOOKBACK_DAYS) {
+  const counts = {};
+  await Promise.all(registry.coins.filter(sc => sc.pegged !== false).map(async sc => {
+    counts[sc.symbol.toUpperCase()] = (await depegIncidentsFor(sc.symbol, lookbackDays)).length;
+  }));
+  return counts;
+}
 
 // ===== Builders =====
-function buildStablecoinList() {
-  return SEEDED_STABLES.map(sc => ({ ...sc, score: scoreStablecoin(sc, 0), price: null, supply: null }));
+function buildStablecoinList(depegs = {}) {
+  return registry.coins.map(sc => {
+    const market = marketFor(sc.symbol);
+    const depegIncidents = depegs[sc.symbol.toUpperCase()] || 0;
+    return {
+      ...sc, score: scoreStablecoin(sc, depegIncidents), depegIncidents,
+      price: market.price.value, supply: market.supply.value,
+      change24h: market.change24h.value, supplyByChain: market.supplyByChain.value,
+      market
+    };
+  });
+}
+async function buildStablecoinListLive() {
+  if (Date.now() - marketRefreshedAt > TTL.stablecoins) await refreshMarketData();
+  const list = buildStablecoinList(await depegCounts());
+  snapshotScores("coin", list.map(sc => [sc.symbol.toUpperCase(), evaluateModel(SCORING_MODEL.stablecoin, sc, { depegIncidents: sc.depegIncidents })]));
+  return list;
 }
 function buildPlatforms() {
+  const all = [...registry.platforms.cefi, ...registry.platforms.defi];
+  snapshotScores("platform", all.map(p => [p.name.toLowerCase(), evaluateModel(SCORING_MODEL.platform, p)]));
   return {
-    cefi: SEEDED_PLATFORMS.cefi.map(p => ({ ...p, score: scorePlatform(p) })),
-    defi: SEEDED_PLATFORMS.defi.map(p => ({ ...p, score: scorePlatform(p) }))
+    cefi: registry.platforms.cefi.map(p => ({ ...p, score: scorePlatform(p) })),
+    defi: registry.platforms.defi.map(p => ({ ...p, score: scorePlatform(p) }))
   };
 }
 function buildAlerts({ stablecoins=[], news=[] }) {
   const alerts=[];
   stablecoins.forEach(s=>{
-    if (typeof s.price === "number"){
+    if (typeof s.price === "number" && s.pegged !== false && !s.market?.price?.stale){
       const diff = Math.abs(1-s.price);
       if (diff >= 0.015) alerts.push({ type:"depeg", severity: diff>=0.05?"high":"medium", symbol:s.symbol, message:`${s.symbol} deviated ${Math.round(diff*100)}% from $1` });
     }
   });
   news.forEach(n=>{
-    const t=(n.title||"").toLowerCase();
-    if (/enforcement|settlement|charge|lawsuit|penalty|consent order/.test(t) && /(sec|cftc|doj|attorney general)/.test(t)) {
-      alerts.push({ type:"regulatory", severity:"info", source:n.source, message:n.title, link:n.link });
+    if (n.category==="enforcement") {
+      const coin=n.entities.find(e=>e.type==="coin");
+      alerts.push({ type:"regulatory", severity: n.entities.length ? n.severity : "info", symbol: coin?.id, source:n.source, message:n.title, link:n.link });
     }
   });
   return alerts.slice(0,50);
@@ -343,8 +1898,9 @@ function buildMetrics(stables, platforms, yields){
     if (sc>=8) dist[">=8"]++; else if (sc>=7) dist["7-8"]++; else if (sc>=6) dist["6-7"]++; else dist["<6"]++;
   });
   const chains={}; stables.forEach(s => (s.chains||[]).forEach(c => chains[c]=(chains[c]||0)+1));
+  const chainSupply={}; stables.forEach(s => Object.entries(s.supplyByChain||{}).forEach(([c,v]) => chainSupply[c]=(chainSupply[c]||0)+v));
   const topStable=[...stables].sort((a,b)=>(b.score||0)-(a.score||0)).slice(0,5);
-  return { dist, chains, topStable, totalStables: stables.length,
+  return { dist, chains, chainSupply, topStable, totalStables: stables.length,
            cefiCount: (platforms.cefi||[]).length, defiCount: (platforms.defi||[]).length };
 }
 
@@ -364,8 +1920,90 @@ function corridorScenario(c, volumeUsd, wacc) {
   return { freedFloatUsd, annualCostSavingsUsd };
 }
 
-// ===== Macro Endpoints =====
-app.get("/api/health", (_req,res)=> res.json({ status:"ok", ts: Date.now() }));
+// ----- All-in cost model -----
+// Cost of moving $1M through each rail, in USD:
+//   legacy     = FX spread + correspondent bps + wire fee × transfers + failures × repair fee + capital tied up for prefundDays
+//   stablecoin = FX spread + on/off-ramp bps & fixed fees × transfers + chain gas × transfers + failures × repair fee + capital for onchainHours
+// transfers = $1M / avgTicketUsd; capital cost = $1M × WACC × days / 365. Annual figures scale by daily volume × 365.
+const DAYS_PER_YEAR = 365;
+const CHAIN_TRANSFER_COST_USD = { Ethereum: 1.5, Tron: 1.2, BSC: 0.1, Arbitrum: 0.05, Base: 0.02, Polygon: 0.02, Solana: 0.01, XRPL: 0.001, Stellar: 0.001 };
+const CORRIDOR_COST_DEFAULTS = {
+  avgTicketUsd: 25_000,
+  legacy:     { fxSpreadBps: 100, correspondentFeeBps: 10, wireFeeUsd: 30, failureRatePct: 2, repairFeeUsd: 50 },
+  stablecoin: { chain: "Ethereum", fxSpreadBps: 40, failureRatePct: 0.5, repairFeeUsd: 20 },
+  ramp:       { feeBps: 25, fixedFeeUsd: 1 }
+};
+function corridorCostAssumptions(c, overrides = {}) {
+  const costs = c.costs || {};
+  const legacy = { ...CORRIDOR_COST_DEFAULTS.legacy, ...(costs.legacy || {}), ...(overrides.legacy || {}) };
+  const stablecoin = { ...CORRIDOR_COST_DEFAULTS.stablecoin, ...(costs.stablecoin || {}), ...(overrides.stablecoin || {}) };
+  const ramps = c.ramps || [];
+  const rampFees = r => ({ provider: r?.provider || "default", feeBps: r?.feeBps ?? CORRIDOR_COST_DEFAULTS.ramp.feeBps, fixedFeeUsd: r?.fixedFeeUsd ?? CORRIDOR_COST_DEFAULTS.ramp.fixedFeeUsd });
+  // assumption paths neither the corridor nor the overrides set, so callers can tell estimates from data
+  const defaulted = [
+    ...((overrides.avgTicketUsd ?? costs.avgTicketUsd) == null ? ["avgTicketUsd"] : []),
+    ...["legacy", "stablecoin"].flatMap(side => Object.keys(CORRIDOR_COST_DEFAULTS[side])
+      .filter(k => (overrides[side]?.[k] ?? costs[side]?.[k]) == null).map(k => `${side}.${k}`)),
+    ...[["onRamp", ramps[0]], ["offRamp", ramps[ramps.length - 1]]].flatMap(([name, r]) =>
+      ["feeBps", "fixedFeeUsd"].filter(k => r?.[k] == null).map(k => `${name}.${k}`))
+  ];
+  return {
+    avgTicketUsd: overrides.avgTicketUsd ?? costs.avgTicketUsd ?? CORRIDOR_COST_DEFAULTS.avgTicketUsd,
+    legacy, stablecoin,
+    onRamp: rampFees(ramps[0]), offRamp: rampFees(ramps[ramps.length - 1]),
+    gasPerTransferUsd: CHAIN_TRANSFER_COST_USD[stablecoin.chain] ?? CHAIN_TRANSFER_COST_USD.Ethereum,
+    defaulted
+  };
+}
+function corridorCostPer1M(c, wacc, overrides) {
+  const NOTIONAL = 1_000_000;
+  const a = corridorCostAssumptions(c, overrides);
+  const transfers = NOTIONAL / a.avgTicketUsd;
+  const bps = b => NOTIONAL * b / 10_000;
+  const capital = days => NOTIONAL * (wacc || 0) * days / DAYS_PER_YEAR;
+  const legacy = {
+    fxSpread: bps(a.legacy.fxSpreadBps),
+    fees: bps(a.legacy.correspondentFeeBps) + a.legacy.wireFeeUsd * transfers,
+    network: 0,
+    failures: transfers * a.legacy.failureRatePct / 100 * a.legacy.repairFeeUsd,
+    capital: capital(c.prefundDays || 0)
+  };
+  const stablecoin = {
+    fxSpread: bps(a.stablecoin.fxSpreadBps),
+    fees: bps(a.onRamp.feeBps) + bps(a.offRamp.feeBps) + (a.onRamp.fixedFeeUsd + a.offRamp.fixedFeeUsd) * transfers,
+    network: a.gasPerTransferUsd * transfers,
+    failures: transfers * a.stablecoin.failureRatePct / 100 * a.stablecoin.repairFeeUsd,
+    capital: capital((c.onchainHours || 0) / 24)
+  };
+  const total = o => Object.values(o).reduce((x, y) => x + y, 0);
+  return { assumptions: a, transfersPer1M: transfers, legacy: { ...legacy, total: total(legacy) }, stablecoin: { ...stablecoin, total: total(stablecoin) } };
+}
+function corridorCostModel(c, volumeUsd, wacc, overrides) {
+  const per1M = corridorCostPer1M(c, wacc, overrides);
+  const annualVolumeUsd = (volumeUsd || 0) * DAYS_PER_YEAR;
+  const legacyAnnualUsd = per1M.legacy.total * annualVolumeUsd / 1_000_000;
+  const stablecoinAnnualUsd = per1M.stablecoin.total * annualVolumeUsd / 1_000_000;
+  return {
+    per1M, savingsPer1MUsd: per1M.legacy.total - per1M.stablecoin.total,
+    annual: { volumeUsd: annualVolumeUsd, legacyCostUsd: legacyAnnualUsd, stablecoinCostUsd: stablecoinAnnualUsd, allInSavingsUsd: legacyAnnualUsd - stablecoinAnnualUsd }
+  };
+}
+const SENSITIVITY_METRICS = {
+  annualAllInSavingsUsd: (c, v, w) => corridorCostModel(c, v, w).annual.allInSavingsUsd,
+  annualCostSavingsUsd:  (c, v, w) => corridorScenario(c, v, w).annualCostSavingsUsd,
+  savingsPer1MUsd:       (c, v, w) => corridorCostModel(c, v, w).savingsPer1MUsd
+};
+const linspace = (min, max, steps) => steps <= 1 ? [min] : Array.from({ length: steps }, (_, i) => min + (max - min) * i / (steps - 1));
+// grid[i][j] = metric at waccs[i] × volumes[j]
+function corridorSensitivity(c, { volumes, waccs, metric }) {
+  const f = SENSITIVITY_METRICS[metric];
+  const grid = waccs.map(w => volumes.map(v => f(c, v, w)));
+  const flat = grid.flat();
+  return { metric, volumes, waccs, grid, min: Math.min(...flat), max: Math.max(...flat) };
+}
+
+// ===== Macro Endpoints =====
+app.get("/api/health", (_req,res)=> res.json({ status:"ok", ts: Date.now() }));
 app.get("/api/status", (_req,res)=> res.json({
   health:"ok",
   updatedAt:{
@@ -374,8 +2012,14 @@ app.get("/api/status", (_req,res)=> res.json({
     platforms:   memory.platforms.t||null,
     news:        memory.news.t||null,
     alerts:      memory.alerts.t||null
-  }
+  },
+  sources: cacheStatus()
+}));
+app.get("/api/providers", (_req,res)=> res.json({
+  breaker: { failureThreshold: BREAKER_FAILURE_THRESHOLD, cooldownMs: BREAKER_COOLDOWN_MS },
+  providers: providerStatus()
 }));
+app.get("/api/scoring/model", (_req,res)=> res.json(describeScoringModel()));
 app.get("/api/db-health", async (_req,res)=>{
   if (!db) return res.json({ ok:false, reason:"DATABASE_URL missing" });
   try { const r = await db.query("select 1 ok"); res.json({ ok: r.rows[0].ok===1 }); }
@@ -390,74 +2034,434 @@ app.get("/api/redis-health", async (_req,res)=>{
 // M2
 app.get("/api/macro/m2", async (_req,res)=>{
   try {
-    const series = await fetchFREDCSV("M2SL", 240);
+    const m2 = await fredSeries("M2SL", 240);
+    const series = m2.data;
     let yoy = null;
     if (series.length > 12) {
       const last = series[series.length - 1].v;
       const prev = series[series.length - 13].v;
       yoy = ((last - prev) / prev) * 100;
     }
-    res.json({ updatedAt: Date.now(), series, yoy });
+    res.json({ updatedAt: m2.t, ...cacheMarker(m2), series, yoy });
   } catch { res.status(502).json({ error:"M2 unavailable" }); }
 });
 // Treasuries
-app.get("/api/macro/treasury", async (_req,res)=>{
+app.get("/api/macro/treasury", async (req,res)=>{
+  const minDays = Math.max(1, parseInt(req.query.minDays || "5", 10) || 5);
   try {
-    const dgs2  = await fetchFREDCSV("DGS2", 90);
-    const dgs10 = await fetchFREDCSV("DGS10", 90);
+    const s = await fredMany(TREASURY_TENORS.map(([, id]) => id));
+    if (!s.DGS2 || !s.DGS10) return res.status(502).json({ error:"Treasury data unavailable" });
+    const dgs2 = s.DGS2.data.slice(-90), dgs10 = s.DGS10.data.slice(-90);
     const latest2  = dgs2.filter(x=>x.v!=null).slice(-1)[0]?.v ?? null;
     const latest10 = dgs10.filter(x=>x.v!=null).slice(-1)[0]?.v ?? null;
-    const curve = { "2Y": latest2, "10Y": latest10, "2s10s": (latest10!=null && latest2!=null) ? (latest10 - latest2) : null };
-    res.json({ updatedAt: Date.now(), dgs2, dgs10, curve });
+    const tenors = TREASURY_TENORS.map(([tenor, id]) => ({ tenor, series: id, yield: latestOf(s[id])?.v ?? null, asOf: latestOf(s[id])?.t ?? null }));
+    const y = Object.fromEntries(tenors.map(x => [x.tenor, x.yield]));
+    const curve = {
+      "2Y": latest2, "10Y": latest10, "2s10s": (latest10!=null && latest2!=null) ? (latest10 - latest2) : null,
+      "3m10y": (latest10!=null && y["3M"]!=null) ? (latest10 - y["3M"]) : null
+    };
+    const inversions = {};
+    for (const [name, [short, long]] of Object.entries(INVERSION_SPREADS))
+      if (s[short] && s[long]) inversions[name] = inversionRuns(s[short].data, s[long].data, minDays);
+    const used = Object.values(s).filter(Boolean);
+    res.json({ updatedAt: Math.min(...used.map(r => r.t)), ...cacheMarker(...used), dgs2, dgs10, curve, tenors, shape: classifyCurve(y), inversions });
   } catch { res.status(502).json({ error:"Treasury data unavailable" }); }
 });
 // Dominance
+async function stablecoinDominance() {
+  const [g, cats] = await Promise.all([
+    cached("coingecko", "global", [["coingecko", fetchCoingeckoGlobal]]),
+    cached("coingecko", "categories", [["coingecko", fetchCoingeckoCategories]])
+  ]);
+  const totalMcap = g.data?.data?.total_market_cap?.usd ?? null;
+  let stableCap = 0;
+  for (const c of (cats.data||[])) {
+    const name = (c?.name||"").toLowerCase();
+    if (name === "stablecoins" || name.includes("stablecoin")) stableCap += (c?.market_cap ?? 0);
+  }
+  const dominance = (totalMcap && stableCap) ? (stableCap / totalMcap) * 100 : null;
+  return { updatedAt: Math.min(g.t, cats.t), ...cacheMarker(g, cats), totalMcap, stableCap, dominance };
+}
 app.get("/api/macro/stablecoin-dominance", async (_req,res)=>{
-  try {
-    const global = await fetchCoingeckoGlobal();
-    const totalMcap = global?.data?.total_market_cap?.usd ?? null;
-    const cats = await fetchCoingeckoCategories();
-    let stableCap = 0;
-    for (const c of (cats||[])) {
-      const name = (c?.name||"").toLowerCase();
-      if (name === "stablecoins" || name.includes("stablecoin")) stableCap += (c?.market_cap ?? 0);
-    }
-    const dominance = (totalMcap && stableCap) ? (stableCap / totalMcap) * 100 : null;
-    res.json({ updatedAt: Date.now(), totalMcap, stableCap, dominance });
-  } catch { res.status(502).json({ error:"Dominance unavailable" }); }
+  try { res.json(await stablecoinDominance()); }
+  catch { res.status(502).json({ error:"Dominance unavailable" }); }
 });
 // SOFR
 app.get("/api/macro/sofr", async (_req,res)=>{
   try {
-    const series = await fetchSOFRLast30();
+    const sofr = await sofrSeries();
+    const series = sofr.data;
     const latest = series.slice(-1)[0]?.v ?? null;
-    res.json({ updatedAt: Date.now(), series, latest });
+    res.json({ updatedAt: sofr.t, ...cacheMarker(sofr), provider: sofr.provider, series, latest });
   } catch { res.status(502).json({ error:"SOFR unavailable" }); }
 });
 
+// ===== Macro analytics =====
+// Full Treasury curve, real-rate estimates and supply-vs-rates correlations, all from FRED series
+// (plus DefiLlama's total stablecoin supply history). Yields and spreads are in percentage points.
+const TREASURY_TENORS = [
+  ["1M", "DGS1MO"], ["3M", "DGS3MO"], ["6M", "DGS6MO"], ["1Y", "DGS1"], ["2Y", "DGS2"], ["3Y", "DGS3"],
+  ["5Y", "DGS5"], ["7Y", "DGS7"], ["10Y", "DGS10"], ["20Y", "DGS20"], ["30Y", "DGS30"]
+];
+const REAL_RATE_TENORS = [
+  { tenor: "5Y",  nominal: "DGS5",  breakeven: "T5YIE",  tips: "DFII5" },
+  { tenor: "10Y", nominal: "DGS10", breakeven: "T10YIE", tips: "DFII10" }
+];
+const INVERSION_SPREADS = { "2s10s": ["DGS2", "DGS10"], "3m10y": ["DGS3MO", "DGS10"] };
+const MACRO_FRED_IDS = [...new Set([
+  "M2SL", "SOFR", ...TREASURY_TENORS.map(([, id]) => id),
+  ...REAL_RATE_TENORS.flatMap(r => [r.nominal, r.breakeven, r.tips])
+])];
+
+async function fetchStablecoinSupplyHistory() {
+  const json = await safeJSONRetry("https://stablecoins.llama.fi/stablecoincharts/all");
+  if (!Array.isArray(json)) return null;
+  return json.map(d => ({ t: new Date(Number(d.date) * 1000).toISOString().slice(0, 10), v: d.totalCirculatingUSD?.peggedUSD ?? null }))
+    .filter(d => d.v != null);
+}
+const supplyHistory = opts => cached("supply", "total", [["defillama-stablecoins", fetchStablecoinSupplyHistory]], opts);
+// Series that fail resolve to null so one missing tenor doesn't sink the whole response
+async function fredMany(ids) {
+  const rs = await Promise.allSettled(ids.map(id => fredSeries(id, Infinity)));
+  return Object.fromEntries(ids.map((id, i) => [id, rs[i].status === "fulfilled" ? rs[i].value : null]));
+}
+const latestOf = r => r?.data.slice(-1)[0] || null;
+
+// inverted: 3m10y and 2s10s both negative; humped: the 2Y–7Y belly sits >25bp above both ends
+function classifyCurve(y) {
+  const s3m10y = y["10Y"] != null && y["3M"] != null ? y["10Y"] - y["3M"] : null;
+  const s2s10 = y["10Y"] != null && y["2Y"] != null ? y["10Y"] - y["2Y"] : null;
+  if (s3m10y == null || s2s10 == null) return "unknown";
+  if (s3m10y < 0 && s2s10 < 0) return "inverted";
+  if (s3m10y < 0 || s2s10 < 0) return "partially_inverted";
+  const belly = Math.max(...["2Y", "3Y", "5Y", "7Y"].map(k => y[k] ?? -Infinity));
+  const ends = Math.max(y["3M"], y["30Y"] ?? y["10Y"]);
+  if (belly - ends > 0.25) return "humped";
+  if (s3m10y < 0.5) return "flat";
+  if (s3m10y > 2) return "steep";
+  return "normal";
+}
+// Runs of negative spread (long − short) on dates both series observed; shorter runs than minDays are noise
+function inversionRuns(shortRows, longRows, minDays = 5) {
+  const shortByDate = new Map(shortRows.map(r => [r.t, r.v]));
+  const runs = [];
+  let cur = null;
+  for (const r of longRows) {
+    if (!shortByDate.has(r.t)) continue;
+    const spread = r.v - shortByDate.get(r.t);
+    if (spread < 0) {
+      if (!cur) cur = { start: r.t, end: r.t, observations: 0, deepest: spread };
+      cur.end = r.t; cur.observations++; cur.deepest = Math.min(cur.deepest, spread);
+    } else if (cur) { runs.push(cur); cur = null; }
+  }
+  if (cur) runs.push({ ...cur, ongoing: true });
+  return runs.filter(x => x.observations >= minDays).map(x => ({
+    start: x.start, end: x.ongoing ? null : x.end, ongoing: !!x.ongoing, observations: x.observations,
+    days: Math.round((Date.parse(x.end) - Date.parse(x.start)) / 86400000) + 1, deepest: round2(x.deepest)
+  }));
+}
+
+const monthOf = t => String(t).slice(0, 7);
+function monthly(rows, how = "last") {
+  const acc = new Map();
+  for (const r of rows) {
+    const m = monthOf(r.t);
+    const a = acc.get(m) || { sum: 0, n: 0, last: null };
+    a.sum += r.v; a.n++; a.last = r.v;
+    acc.set(m, a);
+  }
+  return new Map([...acc].map(([m, a]) => [m, how === "avg" ? a.sum / a.n : a.last]));
+}
+function yoyPct(byMonth) {
+  const out = new Map();
+  for (const [m, v] of byMonth) {
+    const prev = byMonth.get(`${Number(m.slice(0, 4)) - 1}${m.slice(4)}`);
+    if (prev) out.set(m, ((v - prev) / prev) * 100);
+  }
+  return out;
+}
+function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 3) return null;
+  const mx = xs.reduce((a, b) => a + b, 0) / n, my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < n; i++) { const dx = xs[i] - mx, dy = ys[i] - my; sxy += dx * dy; sxx += dx * dx; syy += dy * dy; }
+  return sxx && syy ? Math.round((sxy / Math.sqrt(sxx * syy)) * 1000) / 1000 : null;
+}
+
+app.get("/api/macro/real-rates", async (req,res)=>{
+  const days = Math.max(30, Math.min(3650, Number(req.query.days) || 365));
+  try {
+    const s = await fredMany(["SOFR", ...REAL_RATE_TENORS.flatMap(r => [r.nominal, r.breakeven, r.tips])]);
+    if (!s.T10YIE || !s.DGS10) return res.status(502).json({ error: "Real rates unavailable" });
+    const tenors = REAL_RATE_TENORS.map(r => {
+      const nom = latestOf(s[r.nominal]), be = latestOf(s[r.breakeven]), tips = latestOf(s[r.tips]);
+      return {
+        tenor: r.tenor, nominal: nom?.v ?? null, breakeven: be?.v ?? null,
+        realEstimate: nom && be ? round2(nom.v - be.v) : null, tipsReal: tips?.v ?? null,
+        asOf: [nom?.t, be?.t].filter(Boolean).sort()[0] || null
+      };
+    });
+    const sofr = latestOf(s.SOFR), be5 = latestOf(s.T5YIE);
+    const since = new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+    const beByDate = new Map(s.T10YIE.data.map(r => [r.t, r.v]));
+    const history = s.DGS10.data.filter(r => r.t >= since && beByDate.has(r.t)).map(r => ({ t: r.t, v: round2(r.v - beByDate.get(r.t)) }));
+    const used = Object.values(s).filter(Boolean);
+    res.json({
+      updatedAt: Math.min(...used.map(r => r.t)), ...cacheMarker(...used),
+      method: "nominal Treasury yield minus the matching-tenor breakeven inflation rate; tipsReal is the market TIPS yield",
+      tenors,
+      sofrReal: { sofr: sofr?.v ?? null, breakeven5Y: be5?.v ?? null, real: sofr && be5 ? round2(sofr.v - be5.v) : null },
+      history: { "10Y": history }
+    });
+  } catch { res.status(502).json({ error: "Real rates unavailable" }); }
+});
+// Monthly: supply YoY % (month-end supply), SOFR monthly average, M2 YoY %; rolling windows in months
+app.get("/api/macro/correlations", async (req,res)=>{
+  const windowMonths = Math.max(6, Math.min(60, parseInt(req.query.window || "12", 10) || 12));
+  try {
+    const [supply, fred] = await Promise.all([supplyHistory(), fredMany(["SOFR", "M2SL"])]);
+    if (!fred.SOFR || !fred.M2SL) return res.status(502).json({ error: "Correlation inputs unavailable" });
+    const supplyM = monthly(supply.data), supplyYoY = yoyPct(supplyM);
+    const sofrM = monthly(fred.SOFR.data, "avg"), m2YoY = yoyPct(monthly(fred.M2SL.data));
+    const months = [...supplyYoY.keys()].filter(m => sofrM.has(m) && m2YoY.has(m)).sort()
+      .map(m => ({ month: m, supplyUsd: supplyM.get(m), supplyYoY: round2(supplyYoY.get(m)), sofr: round2(sofrM.get(m)), m2YoY: round2(m2YoY.get(m)) }));
+    const corr = rows => ({
+      sofr: pearson(rows.map(r => r.supplyYoY), rows.map(r => r.sofr)),
+      m2YoY: pearson(rows.map(r => r.supplyYoY), rows.map(r => r.m2YoY))
+    });
+    const rolling = months.slice(windowMonths - 1).map((r, i) => ({ month: r.month, ...corr(months.slice(i, i + windowMonths)) }));
+    res.json({
+      updatedAt: Math.min(supply.t, fred.SOFR.t, fred.M2SL.t), ...cacheMarker(supply, fred.SOFR, fred.M2SL),
+      frequency: "monthly", window: windowMonths,
+      inputs: { supplyYoY: "total stablecoin supply, month-end, YoY %", sofr: "SOFR monthly average, %", m2YoY: "M2SL YoY %" },
+      correlation: corr(months), rolling, months
+    });
+  } catch { res.status(502).json({ error: "Correlation inputs unavailable" }); }
+});
+
+// ===== Time series =====
+// The scheduled `series` job appends new points to sl_series_points (a capped in-memory series per id
+// without DATABASE_URL); /api/series/:id serves them bucketed by interval. Fixed series live in
+// SERIES_DEFS; per-coin supply and per-pool APY/TVL use "<family>:<key>" ids.
+const SERIES_MEMORY_MAX = 5000;
+const SERIES_POOL_LIMIT = 100; // pools tracked, largest TVL first
+const SERIES_RAW_MAX = 5000;
+const SERIES_INTERVALS = { hour: 3600000, day: 86400000, week: 7 * 86400000, month: 30 * 86400000 };
+const fredPoints = rows => rows.map(r => ({ t: Date.parse(r.t), v: r.v }));
+const SERIES_DEFS = {
+  "m2":                   { label: "M2 Money Stock", unit: "USD bn", collect: async () => fredPoints((await fredSeries("M2SL", Infinity)).data) },
+  "dgs2":                 { label: "2Y Treasury", unit: "%", collect: async () => fredPoints((await fredSeries("DGS2", Infinity)).data) },
+  "dgs10":                { label: "10Y Treasury", unit: "%", collect: async () => fredPoints((await fredSeries("DGS10", Infinity)).data) },
+  "dgs3mo":               { label: "3M Treasury", unit: "%", collect: async () => fredPoints((await fredSeries("DGS3MO", Infinity)).data) },
+  "sofr":                 { label: "SOFR", unit: "%", collect: async () => fredPoints((await sofrSeries()).data) },
+  "stablecoin-dominance": {
+    label: "Stablecoin dominance", unit: "%",
+    async collect() { const d = await stablecoinDominance(); return d.dominance != null && !d.stale ? [{ t: d.updatedAt, v: d.dominance }] : []; }
+  },
+  "stablecoin-supply": {
+    label: "Tracked stablecoin supply", unit: "USD",
+    async collect() {
+      const supplies = registry.coins.map(sc => marketFor(sc.symbol).supply).filter(m => m.value != null && !m.stale);
+      return supplies.length ? [{ t: Math.max(...supplies.map(m => m.asOf)), v: supplies.reduce((a, m) => a + m.value, 0) }] : [];
+    }
+  }
+};
+const SERIES_FAMILIES = {
+  "supply":   { label: k => `${k} supply`, unit: "USD" },
+  "pool-apy": { label: k => `Pool ${k} APY`, unit: "%" },
+  "pool-tvl": { label: k => `Pool ${k} TVL`, unit: "USD" }
+};
+const seriesMemory = new Map(); // id -> [{ t, v }] ascending
+
+function seriesInfo(id) {
+  // own keys only: ids come straight from the URL ("toString:x" must not reach Object.prototype)
+  if (Object.hasOwn(SERIES_DEFS, id)) return { id, label: SERIES_DEFS[id].label, unit: SERIES_DEFS[id].unit };
+  const i = id.indexOf(":");
+  const fam = i > 0 && Object.hasOwn(SERIES_FAMILIES, id.slice(0, i)) && SERIES_FAMILIES[id.slice(0, i)];
+  return fam && id.length > i + 1 ? { id, label: fam.label(id.slice(i + 1)), unit: fam.unit } : null;
+}
+async function lastSeriesPoint(id) {
+  if (db) {
+    const r = await db.query("select max(t) t from sl_series_points where series_id=$1", [id]);
+    return r.rows[0].t ? new Date(r.rows[0].t).getTime() : 0;
+  }
+  return seriesMemory.get(id)?.slice(-1)[0]?.t || 0;
+}
+// Appends points newer than the latest stored one; returns how many were written
+async function appendSeries(id, points) {
+  const last = await lastSeriesPoint(id);
+  const fresh = points.filter(p => Number.isFinite(p.t) && Number.isFinite(p.v) && p.t > last).sort((a, b) => a.t - b.t);
+  if (!fresh.length) return 0;
+  if (db) {
+    await db.query(
+      `insert into sl_series_points (series_id, t, v) select $1, * from unnest($2::timestamptz[], $3::float8[])
+       on conflict (series_id, t) do update set v=excluded.v`,
+      [id, fresh.map(p => new Date(p.t)), fresh.map(p => p.v)]
+    );
+  } else {
+    const series = seriesMemory.get(id) || [];
+    series.push(...fresh);
+    if (series.length > SERIES_MEMORY_MAX) series.splice(0, series.length - SERIES_MEMORY_MAX);
+    seriesMemory.set(id, series);
+  }
+  return fresh.length;
+}
+async function collectSeries() {
+  if (Date.now() - marketRefreshedAt > TTL.stablecoins) await refreshMarketData();
+  const batches = [];
+  const errors = [];
+  for (const [id, def] of Object.entries(SERIES_DEFS)) {
+    try { batches.push([id, await def.collect()]); }
+    catch (e) { errors.push(`${id}: ${e?.message || e}`); }
+  }
+  for (const sc of registry.coins) {
+    const m = marketFor(sc.symbol).supply;
+    if (m.value != null && !m.stale) batches.push([`supply:${sc.symbol.toUpperCase()}`, [{ t: m.asOf, v: m.value }]]);
+  }
+  const yields = await loadYields().catch(() => null);
+  if (yields && !yields.stale) {
+    const pools = yields.data.filter(p => p.pool && typeof p.tvlUsd === "number")
+      .sort((a, b) => b.tvlUsd - a.tvlUsd).slice(0, SERIES_POOL_LIMIT);
+    for (const p of pools) {
+      if (typeof p.apy === "number") batches.push([`pool-apy:${p.pool}`, [{ t: yields.t, v: p.apy }]]);
+      batches.push([`pool-tvl:${p.pool}`, [{ t: yields.t, v: p.tvlUsd }]]);
+    }
+  }
+  let written = 0;
+  for (const [id, points] of batches) written += await appendSeries(id, points);
+  if (errors.length === Object.keys(SERIES_DEFS).length) throw new Error(errors.join("; "));
+  return { series: batches.length, written, errors };
+}
+function bucketStart(t, interval) {
+  const d = new Date(t);
+  if (interval === "hour") return Math.floor(t / 3600000) * 3600000;
+  if (interval === "day") return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+  if (interval === "week") return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - ((d.getUTCDay() + 6) % 7)); // ISO Monday, as date_trunc
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+}
+// auto: raw for short ranges, otherwise the finest bucket that keeps the range under ~1000 points
+function pickInterval(from, to) {
+  const span = to - from;
+  if (span <= 3 * 86400000) return "raw";
+  return Object.keys(SERIES_INTERVALS).find(k => span / SERIES_INTERVALS[k] <= 1000) || "month";
+}
+async function loadSeries(id, from, to, interval) {
+  if (db) {
+    if (interval === "raw") {
+      const r = await db.query("select t, v from sl_series_points where series_id=$1 and t >= $2 and t <= $3 order by t limit $4", [id, new Date(from), new Date(to), SERIES_RAW_MAX]);
+      return r.rows.map(x => ({ t: new Date(x.t).getTime(), v: x.v }));
+    }
+    const r = await db.query(
+      `select date_trunc($4, t) b, avg(v) v, min(v) min, max(v) max, count(*)::int n from sl_series_points
+       where series_id=$1 and t >= $2 and t <= $3 group by b order by b`,
+      [id, new Date(from), new Date(to), interval]
+    );
+    return r.rows.map(x => ({ t: new Date(x.b).getTime(), v: x.v, min: x.min, max: x.max, n: x.n }));
+  }
+  const rows = (seriesMemory.get(id) || []).filter(p => p.t >= from && p.t <= to);
+  if (interval === "raw") return rows.slice(0, SERIES_RAW_MAX);
+  const buckets = new Map();
+  for (const p of rows) {
+    const b = bucketStart(p.t, interval);
+    const acc = buckets.get(b) || { t: b, sum: 0, min: Infinity, max: -Infinity, n: 0 };
+    acc.sum += p.v; acc.min = Math.min(acc.min, p.v); acc.max = Math.max(acc.max, p.v); acc.n++;
+    buckets.set(b, acc);
+  }
+  return [...buckets.values()].map(a => ({ t: a.t, v: a.sum / a.n, min: a.min, max: a.max, n: a.n }));
+}
+const parseTime = v => v == null || v === "" ? null : (/^\d+$/.test(String(v)) ? Number(v) : Date.parse(v));
+
+app.get("/api/series", (_req,res)=> res.json({
+  series: [
+    ...Object.keys(SERIES_DEFS).map(seriesInfo),
+    ...registry.coins.map(sc => seriesInfo(`supply:${sc.symbol.toUpperCase()}`))
+  ],
+  families: Object.entries(SERIES_FAMILIES).map(([k, f]) => ({ id: `${k}:<key>`, unit: f.unit })),
+  intervals: ["auto", "raw", ...Object.keys(SERIES_INTERVALS)]
+}));
+app.get("/api/series/:id", async (req,res)=>{
+  try {
+    const info = seriesInfo(req.params.id);
+    if (!info) return res.status(404).json({ error: "not_found" });
+    const to = parseTime(req.query.to) ?? Date.now();
+    const from = parseTime(req.query.from) ?? to - 365 * 86400000;
+    const asked = String(req.query.interval || "auto");
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from > to || !(asked === "auto" || asked === "raw" || Object.hasOwn(SERIES_INTERVALS, asked)))
+      return res.status(400).json({ error: "bad_request" });
+    const interval = asked === "auto" ? pickInterval(from, to) : asked;
+    const points = await loadSeries(info.id, from, to, interval);
+    res.json({ ...info, from, to, interval, points });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+
 // ===== Core (coins/platforms/yields/news/alerts/metrics) =====
 app.get("/api/stablecoins", async (_req,res)=>{
   try{
     if (!memory.stablecoins.data || Date.now()-memory.stablecoins.t>TTL.stablecoins)
-      memory.stablecoins = { data: buildStablecoinList(), t: Date.now() };
+      memory.stablecoins = { data: await buildStablecoinListLive(), t: Date.now() };
     res.json({ stablecoins: memory.stablecoins.data });
   }catch{ res.json({ stablecoins: buildStablecoinList() }); }
 });
+// Registered before /:symbol so "chains" and "chain" aren't read as symbols
+app.get("/api/stablecoins/chains", async (_req,res)=>{
+  await refreshMarketIfStale();
+  const d=chainDistribution();
+  res.json({ totalSupplyUsd: d.totalSupplyUsd, chains: d.chains.map(({ coins, ...c })=>({ ...c, coins: coins.length, top: coins.slice(0,3).map(x=>x.symbol) })) });
+});
+app.get("/api/stablecoins/chain", async (req,res)=>{
+  const name=String(req.query.chain||"").trim();
+  if (!name) return res.status(400).json({ error:"bad_request", detail:"chain required" });
+  await refreshMarketIfStale();
+  const d=chainDistribution();
+  const c=d.chains.find(x=>x.chain.toLowerCase()===name.toLowerCase());
+  if (!c) return res.status(404).json({ error:"not_found" });
+  let bridge=null;
+  try {
+    const r=await cached("supply", `chain:${c.chain}`, [["defillama-stablecoins", () => fetchChainBridgeSplit(c.chain)]]);
+    bridge={ ...r.data, scope:"all stablecoins on chain", ...cacheMarker(r) };
+  } catch {}
+  res.json({ ...c, shareOfTracked: c.share, totalTrackedUsd: d.totalSupplyUsd, bridge });
+});
 app.get("/api/stablecoins/:symbol", async (req,res)=>{
   const sym=(req.params.symbol||"").toUpperCase();
   try{
-    if (!memory.stablecoins.data) memory.stablecoins={ data: buildStablecoinList(), t: Date.now() };
+    if (!memory.stablecoins.data) memory.stablecoins={ data: await buildStablecoinListLive(), t: Date.now() };
     const found = memory.stablecoins.data.find(s => (s.symbol||"").toUpperCase()===sym);
     if (!found) return res.status(404).json({ error:"not_found" });
 
-    if (!memory.yields.data || Date.now()-memory.yields.t>TTL.yields)
-      memory.yields = { data: await fetchYieldsFromLlama(), t: Date.now() };
-    const pools=(memory.yields.data||[])
+    const yields = await loadYields().catch(() => null);
+    const pools=(yields?.data||[])
       .filter(p => (p.symbol||"").toUpperCase()===sym)
       .sort((a,b)=>(b.apy||0)-(a.apy||0)).slice(0,12)
       .map(p=>({ project:p.project, chain:p.chain, symbol:p.symbol, apy:p.apy, apyBase:p.apyBase, apyReward:p.apyReward, tvlUsd:p.tvlUsd, pool:p.pool }));
 
-    res.json({ stablecoin: found, breakdown: scoreBreakdown(found, 0), topPools: pools });
+    res.json({ stablecoin: found, breakdown: scoreBreakdown(found, found.depegIncidents || 0), topPools: pools, topPoolsCache: yields ? cacheMarker(yields) : null });
+  }catch{ res.status(500).json({ error:"server_error" }); }
+});
+app.get("/api/stablecoins/:symbol/score-history", async (req,res)=>{
+  const sym=(req.params.symbol||"").toUpperCase();
+  const days=Math.max(1, Math.min(3650, Number(req.query.days) || 90));
+  try{
+    if (!registry.coins.some(s => s.symbol.toUpperCase()===sym)) return res.status(404).json({ error:"not_found" });
+    if (!memory.stablecoins.data) memory.stablecoins={ data: await buildStablecoinListLive(), t: Date.now() };
+    const snapshots = await loadScoreHistory("coin", sym, Date.now() - days*86400000);
+    res.json({ symbol: sym, days, ...scoreHistoryResponse(snapshots) });
+  }catch{ res.status(500).json({ error:"server_error" }); }
+});
+app.get("/api/stablecoins/:symbol/depegs", async (req,res)=>{
+  const sym=(req.params.symbol||"").toUpperCase();
+  const days=Math.max(1, Math.min(3650, Number(req.query.days) || DEPEG_LOOKBACK_DAYS));
+  try{
+    const sc = registry.coins.find(s => s.symbol.toUpperCase()===sym);
+    if (!sc) return res.status(404).json({ error:"not_found" });
+    if (sc.pegged === false) return res.json({ symbol: sc.symbol, pegged:false, incidents: [] });
+    const incidents = await depegIncidentsFor(sym, days);
+    res.json({
+      symbol: sc.symbol, lookbackDays: days,
+      threshold: DEPEG_THRESHOLD, minMinutes: DEPEG_MIN_MINUTES,
+      count: incidents.length, incidents
+    });
   }catch{ res.status(500).json({ error:"server_error" }); }
 });
 app.get("/api/platforms", async (_req,res)=>{
@@ -478,89 +2482,387 @@ app.get("/api/platforms/:name", async (req,res)=>{
     res.json({ platform: item, breakdown: platformBreakdown(item) });
   }catch{ res.status(500).json({ error:"server_error" }); }
 });
-app.get("/api/yields", async (req,res)=>{
-  const symbol=(req.query.symbol||"").toUpperCase();
-  const chain=req.query.chain||"";
-  const sort=(req.query.sort||"apy").toLowerCase();
-  const order=(req.query.order||"desc").toLowerCase();
-  const minScore=parseFloat(req.query.minScore||"0");
-
+app.get("/api/platforms/:name/score-history", async (req,res)=>{
+  const name=(req.params.name||"").toLowerCase();
+  const days=Math.max(1, Math.min(3650, Number(req.query.days) || 90));
   try{
-    if (!memory.yields.data || Date.now()-memory.yields.t>TTL.yields)
-      memory.yields={ data: await fetchYieldsFromLlama(), t: Date.now() };
-    if (!memory.stablecoins.data) memory.stablecoins={ data: buildStablecoinList(), t: Date.now() };
-    const scoreMap=new Map(memory.stablecoins.data.map(s=>[s.symbol.toUpperCase(), s.score||0]));
+    const item=[...registry.platforms.cefi, ...registry.platforms.defi].find(p=>p.name.toLowerCase()===name);
+    if (!item) return res.status(404).json({ error:"not_found" });
+    if (!memory.platforms.data) memory.platforms={ data: buildPlatforms(), t: Date.now() };
+    const snapshots = await loadScoreHistory("platform", name, Date.now() - days*86400000);
+    res.json({ name: item.name, days, ...scoreHistoryResponse(snapshots) });
+  }catch{ res.status(500).json({ error:"server_error" }); }
+});
+// Keyset pagination: the cursor is the last row's (sort value, pool id), so pages stay stable across refreshes
+const YIELDS_PAGE_MAX = 500;
+const encodeCursor = (v, pool) => Buffer.from(JSON.stringify([v, pool])).toString("base64url");
+function decodeCursor(c) {
+  try { const [v, pool] = JSON.parse(Buffer.from(String(c), "base64url").toString()); return typeof pool === "string" ? { v: v ?? 0, pool } : null; }
+  catch { return null; }
+}
+const isBaseOnly = p => !(p.apyReward > 0);
+// Shared by /api/yields and /api/export/yields; null when a filter doesn't parse
+function parseYieldQuery(q, maxLimit = YIELDS_PAGE_MAX) {
+  const f = {
+    symbol: (q.symbol||"").toUpperCase(), chain: (q.chain||"").toLowerCase(), project: (q.project||"").toLowerCase(),
+    sort: (q.sort||"apy").toLowerCase(), order: (q.order||"desc").toLowerCase(), minScore: parseFloat(q.minScore||"0"),
+    minTvl: q.minTvl!=null ? Number(q.minTvl) : null, maxApy: q.maxApy!=null ? Number(q.maxApy) : null,
+    baseOnly: q.baseOnly==="true" || q.baseOnly==="1", limit: q.limit!=null ? parseInt(q.limit,10) : 200
+  };
+  if ((f.minTvl!=null && !Number.isFinite(f.minTvl)) || (f.maxApy!=null && !Number.isFinite(f.maxApy)) || !(f.limit>=1 && f.limit<=maxLimit)) return null;
+  return f;
+}
+async function queryYields(f) {
+  const yields = await loadYields();
+  if (!memory.stablecoins.data) memory.stablecoins={ data: await buildStablecoinListLive(), t: Date.now() };
+  const scoreMap=new Map(memory.stablecoins.data.map(s=>[s.symbol.toUpperCase(), s.score||0]));
 
-    let rows=memory.yields.data||[];
-    if (symbol) rows=rows.filter(p=>(p.symbol||"").toUpperCase()===symbol);
-    if (chain) rows=rows.filter(p=>(p.chain||"").toLowerCase()===chain.toLowerCase());
-    if (minScore>0) rows=rows.filter(p => (scoreMap.get((p.symbol||"").toUpperCase())||0)>=minScore);
-    rows=rows.map(p=>({ project:p.project, chain:p.chain, symbol:p.symbol, apy:p.apy, apyBase:p.apyBase, apyReward:p.apyReward, tvlUsd:p.tvlUsd, pool:p.pool }));
+  let rows=yields.data||[];
+  if (f.symbol) rows=rows.filter(p=>(p.symbol||"").toUpperCase()===f.symbol);
+  if (f.chain) rows=rows.filter(p=>(p.chain||"").toLowerCase()===f.chain);
+  if (f.project) rows=rows.filter(p=>(p.project||"").toLowerCase()===f.project);
+  if (f.minTvl!=null) rows=rows.filter(p=>(p.tvlUsd||0)>=f.minTvl);
+  if (f.maxApy!=null) rows=rows.filter(p=>(p.apy||0)<=f.maxApy);
+  if (f.baseOnly) rows=rows.filter(isBaseOnly);
+  if (f.minScore>0) rows=rows.filter(p => (scoreMap.get((p.symbol||"").toUpperCase())||0)>=f.minScore);
+  rows=rows.map(p=>({ project:p.project, chain:p.chain, symbol:p.symbol, apy:p.apy, apyBase:p.apyBase, apyReward:p.apyReward, tvlUsd:p.tvlUsd, pool:p.pool }));
 
-    const key=sort==="tvl"?"tvlUsd":"apy";
-    rows.sort((a,b)=> order==="asc" ? ((a[key]||0)-(b[key]||0)) : ((b[key]||0)-(a[key]||0)));
+  const key=f.sort==="tvl"?"tvlUsd":"apy", dir=f.order==="asc"?1:-1;
+  const cmp=(av, ap, bv, bp)=> ((av||0)-(bv||0))*dir || String(ap).localeCompare(String(bp));
+  rows.sort((a,b)=>cmp(a[key], a.pool, b[key], b.pool));
+  return { yields, rows, key, cmp, scoreMap };
+}
+app.get("/api/yields", async (req,res)=>{
+  const f=parseYieldQuery(req.query);
+  const cursor=req.query.cursor ? decodeCursor(req.query.cursor) : null;
+  if (!f || (req.query.cursor && !cursor)) return res.status(400).json({ error:"bad_request" });
 
-    res.json({ pools: rows.slice(0,200) });
-  }catch{ res.json({ pools:[] }); }
+  try{
+    let { yields, rows, key, cmp }=await queryYields(f);
+    const total=rows.length;
+    if (cursor) rows=rows.filter(p=>cmp(p[key], p.pool, cursor.v, cursor.pool)>0);
+    const page=rows.slice(0,f.limit), last=page[page.length-1];
+
+    res.json({ ...cacheMarker(yields), total, pools: page, nextCursor: rows.length>f.limit ? encodeCursor(last[key], last.pool) : null });
+  }catch{ res.status(503).json({ error:"upstream_unavailable", source:"yields", pools:[] }); }
 });
+// rank=apy (default) sorts by raw APY; rank=riskAdjusted by riskAdjustedApy with a per-pool explanation
 app.get("/api/best", async (req,res)=>{
   const minScore=parseFloat(req.query.minScore||"0");
   const chain=req.query.chain||"";
   const top=Math.min(200, parseInt(req.query.top||"20",10));
+  const rank=req.query.rank||"apy";
+  if (rank!=="apy" && rank!=="riskAdjusted") return res.status(400).json({ error:"bad_request" });
   try{
-    if (!memory.yields.data || Date.now()-memory.yields.t>TTL.yields)
-      memory.yields={ data: await fetchYieldsFromLlama(), t: Date.now() };
-    if (!memory.stablecoins.data) memory.stablecoins={ data: buildStablecoinList(), t: Date.now() };
+    const yields = await loadYields();
+    if (!memory.stablecoins.data) memory.stablecoins={ data: await buildStablecoinListLive(), t: Date.now() };
     const scoreMap=new Map(memory.stablecoins.data.map(s=>[s.symbol.toUpperCase(), s.score||0]));
 
-    let rows=memory.yields.data||[];
+    let rows=yields.data||[];
     if (chain) rows=rows.filter(p=>(p.chain||"").toLowerCase()===chain.toLowerCase());
     if (minScore>0) rows=rows.filter(p => (scoreMap.get((p.symbol||"").toUpperCase())||0)>=minScore);
 
-    rows=rows.filter(p=>p.symbol && typeof p.apy==="number")
-      .sort((a,b)=>(b.apy||0)-(a.apy||0)).slice(0,top)
+    rows=rows.filter(p=>p.symbol && typeof p.apy==="number");
+    if (rank==="riskAdjusted") {
+      rows=rows.map(p=>({ p, risk: riskAdjustYield(p, scoreMap.get((p.symbol||"").toUpperCase())) }))
+        .sort((a,b)=>b.risk.riskAdjustedApy-a.risk.riskAdjustedApy).slice(0,top)
+        .map(({ p, risk })=>({ project:p.project, chain:p.chain, symbol:p.symbol, apy:p.apy, apyBase:p.apyBase, apyReward:p.apyReward, tvlUsd:p.tvlUsd, pool:p.pool, complianceScore: scoreMap.get((p.symbol||"").toUpperCase())||0, ...risk }));
+      return res.json({ ...cacheMarker(yields), rank, model: { version: YIELD_RISK_MODEL.version, formula: YIELD_RISK_MODEL.formula }, results: rows });
+    }
+    rows=rows.sort((a,b)=>(b.apy||0)-(a.apy||0)).slice(0,top)
       .map(p=>({ project:p.project, chain:p.chain, symbol:p.symbol, apy:p.apy, tvlUsd:p.tvlUsd, pool:p.pool, complianceScore: scoreMap.get((p.symbol||"").toUpperCase())||0 }));
 
-    res.json({ results: rows });
-  }catch{ res.json({ results: [] }); }
+    res.json({ ...cacheMarker(yields), rank, results: rows });
+  }catch{ res.status(503).json({ error:"upstream_unavailable", source:"yields", results: [] }); }
 });
-app.get("/api/news", async (_req,res)=>{
+// Filters: symbol, platform, category, minSeverity, source, relevant=1, limit
+app.get("/api/news", async (req,res)=>{
+  const category=req.query.category ? String(req.query.category).toLowerCase() : "";
+  const minSeverity=req.query.minSeverity ? NEWS_SEVERITIES.indexOf(String(req.query.minSeverity)) : 0;
+  const limit=Math.min(150, parseInt(req.query.limit||"150",10) || 150);
+  if ((category && category!=="general" && !NEWS_CATEGORIES.some(c=>c.key===category)) || minSeverity<0) return res.status(400).json({ error:"bad_request" });
   try{
-    const key="news:feeds";
-    let items = await cacheGet(key);
-    if (!items) { items = await fetchNewsFeeds(); await cacheSet(key, items, 600); }
-    memory.news={ data: items, t: Date.now() };
-    res.json({ items });
-  }catch{ res.json({ items: [] }); }
+    const news = await loadNews();
+    let items=news.data;
+    if (req.query.symbol) items=items.filter(n=>newsAbout(n, "coin", req.query.symbol));
+    if (req.query.platform) items=items.filter(n=>newsAbout(n, "platform", req.query.platform));
+    if (category) items=items.filter(n=>n.category===category);
+    if (minSeverity>0) items=items.filter(n=>NEWS_SEVERITIES.indexOf(n.severity)>=minSeverity);
+    if (req.query.source) items=items.filter(n=>n.sources.some(x=>x.toLowerCase()===String(req.query.source).toLowerCase()));
+    if (req.query.relevant==="1" || req.query.relevant==="true") items=items.filter(n=>n.relevant);
+    res.json({ ...cacheMarker(news), categories: [...NEWS_CATEGORIES.map(c=>c.key), "general"], items: items.slice(0,limit) });
+  }catch{ res.status(503).json({ error:"upstream_unavailable", source:"news", items: [] }); }
 });
 app.get("/api/alerts", async (_req,res)=>{
   try{
-    if (!memory.stablecoins.data) memory.stablecoins={ data: buildStablecoinList(), t: Date.now() };
-    let items = await cacheGet("news:feeds");
-    if (!items) { items = await fetchNewsFeeds(); await cacheSet("news:feeds", items, 600); }
-    memory.news={ data: items, t: Date.now() };
-    const data=buildAlerts({ stablecoins: memory.stablecoins.data, news: memory.news.data });
-    data.filter(a => a.severity==="high").slice(0,1).forEach(a => slackNotify(`⚠️ ${a.type.toUpperCase()}: ${a.message}`));
+    if (!memory.stablecoins.data) memory.stablecoins={ data: await buildStablecoinListLive(), t: Date.now() };
+    await loadNews().catch(() => null);
+    const data=buildAlerts({ stablecoins: memory.stablecoins.data, news: memory.news.data || [] });
+    for (const a of data.filter(a => a.severity==="high")) {
+      const fingerprint = `feed:${a.type}:${a.symbol || a.link || a.message}`;
+      if (await deliveredWithin(fingerprint, "slack", 60)) continue;
+      await recordDelivery({ channel: "slack", fingerprint, payload: a });
+      slackNotify(`⚠️ ${a.type.toUpperCase()}: ${a.message}`);
+    }
     memory.alerts={ data, t: Date.now() };
     res.json({ alerts: data });
   }catch{ res.json({ alerts: [] }); }
 });
 app.get("/api/metrics", async (_req,res)=>{
   try{
-    if (!memory.stablecoins.data) memory.stablecoins={ data: buildStablecoinList(), t: Date.now() };
+    if (!memory.stablecoins.data) memory.stablecoins={ data: await buildStablecoinListLive(), t: Date.now() };
     if (!memory.platforms.data)  memory.platforms={ data: buildPlatforms(), t: Date.now() };
-    if (!memory.yields.data || Date.now()-memory.yields.t>TTL.yields) memory.yields={ data: await fetchYieldsFromLlama(), t: Date.now() };
-    res.json(buildMetrics(memory.stablecoins.data, memory.platforms.data, memory.yields.data));
+    const yields = await loadYields().catch(() => null);
+    res.json(buildMetrics(memory.stablecoins.data, memory.platforms.data, yields?.data || []));
   }catch{
     const st=buildStablecoinList(); const pl=buildPlatforms();
     res.json(buildMetrics(st,pl,[]));
   }
 });
 
+// ===== Prices and savings rates =====
+app.get("/api/prices", async (req,res)=>{
+  const want=new Set(String(req.query.symbols||"").split(",").map(x=>x.trim().toUpperCase()).filter(Boolean));
+  await refreshMarketIfStale();
+  const prices=registry.coins.filter(sc=>!want.size || want.has(sc.symbol.toUpperCase())).map(sc=>{
+    const m=marketFor(sc.symbol), price=m.price.value;
+    return { symbol: sc.symbol, price, change24h: m.change24h.value,
+      deviationBps: sc.pegged!==false && price!=null ? Math.round((price-1)*10000) : null,
+      asOf: m.price.asOf, source: m.price.source, stale: m.price.stale };
+  });
+  res.json({ prices });
+});
+// sDAI accrues the DAI Savings Rate, which DefiLlama reports as the base APY of the sDAI pools
+app.get("/api/yields/sdai", async (_req,res)=>{
+  try{
+    const yields = await loadYields();
+    const pools=(yields.data||[]).filter(p=>(p.symbol||"").toUpperCase()==="SDAI" && typeof p.apy==="number").sort((a,b)=>(b.tvlUsd||0)-(a.tvlUsd||0));
+    if (!pools.length) return res.status(404).json({ error:"not_found" });
+    const p=pools[0], rate=p.apyBase ?? p.apy;
+    const sofr=(await sofrSeries().catch(()=>null))?.data.slice(-1)[0]?.v ?? null;
+    res.json({
+      ...cacheMarker(yields), symbol:"sDAI", savingsRate: rate, apyMean30d: p.apyMean30d ?? null,
+      sofr, spreadVsSofrBps: sofr!=null ? Math.round((rate-sofr)*100) : null,
+      sharePrice: marketFor("sDAI").price.value, tvlUsd: p.tvlUsd, project: p.project, chain: p.chain, pool: p.pool,
+      pools: pools.slice(0,5).map(x=>({ project:x.project, chain:x.chain, apy:x.apy, apyBase:x.apyBase, tvlUsd:x.tvlUsd, pool:x.pool }))
+    });
+  }catch{ res.status(503).json({ error:"upstream_unavailable", source:"yields" }); }
+});
+
+// ===== Yield pool detail =====
+const POOL_HISTORY_MAX_DAYS = 730;
+async function fetchPoolChart(poolId) {
+  const json = await safeJSONRetry(`https://yields.llama.fi/chart/${encodeURIComponent(poolId)}`, { timeoutMs: 20000 });
+  if (!Array.isArray(json?.data)) throw new Error("DefiLlama pool chart");
+  return json.data.map(d => ({ t: Date.parse(d.timestamp), apy: d.apy, apyBase: d.apyBase, apyReward: d.apyReward, tvlUsd: d.tvlUsd }))
+    .filter(d => Number.isFinite(d.t));
+}
+// DefiLlama's daily chart when reachable, otherwise what the series job stored for the pool
+async function poolHistory(poolId, from) {
+  try {
+    const r = await cached("poolchart", poolId, [["defillama-pool-charts", () => fetchPoolChart(poolId)]]);
+    return { source: "defillama", points: r.data.filter(d => d.t >= from), ...cacheMarker(r) };
+  } catch {
+    const [apy, tvl] = await Promise.all([`pool-apy:${poolId}`, `pool-tvl:${poolId}`].map(id => loadSeries(id, from, Date.now(), "day")));
+    const tvlAt = new Map(tvl.map(p => [p.t, p.v]));
+    return { source: "series", points: apy.map(p => ({ t: p.t, apy: p.v, apyBase: null, apyReward: null, tvlUsd: tvlAt.get(p.t) ?? null })) };
+  }
+}
+// Largest peak-to-trough fall; relative=true gives it as a fraction of the peak
+function maxDrawdown(values, relative) {
+  let peak = -Infinity, worst = 0;
+  for (const v of values) {
+    peak = Math.max(peak, v);
+    const dd = relative ? (peak > 0 ? (peak - v) / peak : 0) : peak - v;
+    worst = Math.max(worst, dd);
+  }
+  return worst;
+}
+function poolStats(points) {
+  const apys = points.map(p => p.apy).filter(v => typeof v === "number");
+  const tvls = points.map(p => p.tvlUsd).filter(v => typeof v === "number");
+  if (!apys.length) return null;
+  const mean = apys.reduce((a, b) => a + b, 0) / apys.length;
+  const stdev = Math.sqrt(apys.reduce((a, v) => a + (v - mean) ** 2, 0) / apys.length);
+  const split = points.filter(p => typeof p.apy === "number" && p.apy > 0 && (p.apyBase != null || p.apyReward != null));
+  const rewardShare = split.length ? split.reduce((a, p) => a + (p.apyReward || 0), 0) / split.reduce((a, p) => a + p.apy, 0) : null;
+  return {
+    points: apys.length,
+    apy: { mean: round2(mean), stdev: round2(stdev), min: round2(Math.min(...apys)), max: round2(Math.max(...apys)), maxDrawdown: round2(maxDrawdown(apys, false)) },
+    tvl: tvls.length ? { mean: Math.round(tvls.reduce((a, b) => a + b, 0) / tvls.length), maxDrawdownPct: round2(100 * maxDrawdown(tvls, true)) } : null,
+    rewardShare: rewardShare == null ? null : Math.round(rewardShare * 1000) / 1000
+  };
+}
+app.get("/api/yields/:poolId", async (req,res)=>{
+  const days=req.query.days!=null ? parseInt(req.query.days,10) : 90;
+  if (!(days>=1 && days<=POOL_HISTORY_MAX_DAYS)) return res.status(400).json({ error:"bad_request" });
+  try{
+    const yields = await loadYields();
+    const p=(yields.data||[]).find(x=>x.pool===req.params.poolId);
+    if (!p) return res.status(404).json({ error:"not_found" });
+    if (!memory.stablecoins.data) memory.stablecoins={ data: await buildStablecoinListLive(), t: Date.now() };
+    const coinScore=memory.stablecoins.data.find(s=>s.symbol.toUpperCase()===(p.symbol||"").toUpperCase())?.score;
+    const history=await poolHistory(p.pool, Date.now()-days*86400000);
+    res.json({
+      ...cacheMarker(yields),
+      pool: { pool:p.pool, project:p.project, chain:p.chain, symbol:p.symbol, apy:p.apy, apyBase:p.apyBase, apyReward:p.apyReward, apyMean30d:p.apyMean30d, tvlUsd:p.tvlUsd,
+        exposure:p.exposure, ilRisk:p.ilRisk, rewardTokens:p.rewardTokens||[], url:`https://defillama.com/yields/pool/${p.pool}` },
+      complianceScore: coinScore||0,
+      risk: riskAdjustYield(p, coinScore),
+      days, historySource: history.source,
+      stats: poolStats(history.points),
+      history: history.points
+    });
+  }catch{ res.status(503).json({ error:"upstream_unavailable", source:"yields" }); }
+});
+
+// ===== Portfolio optimizer =====
+// Greedy fill over the known stablecoin pools: rank by the objective, then give each pool as much as the
+// per-pool, per-protocol and per-chain caps (shares of amountUsd) and its TVL allow. Protocols group
+// DefiLlama projects by registry platform, so aave-v2 and aave-v3 share one cap.
+const PORTFOLIO_PARAM_FIELDS = {
+  amountUsd:        { type: "number", required: true, min: 1 },
+  objective:        { type: "string", enum: ["yield", "riskAdjusted"] },
+  minCoinScore:     { type: "number", min: 0, max: 10 },
+  minPlatformScore: { type: "number", min: 0, max: 10 },
+  maxPerProtocol:   { type: "number", min: 0.01, max: 1 },
+  maxPerChain:      { type: "number", min: 0.01, max: 1 },
+  maxPerPool:       { type: "number", min: 0.01, max: 1 },
+  maxPoolTvlShare:  { type: "number", min: 0.001, max: 1 },
+  minTvl:           { type: "number", min: 0 },
+  chains:           { type: "array", items: { type: "string" } }
+};
+const PORTFOLIO_DEFAULTS = { objective: "riskAdjusted", minCoinScore: 7, minPlatformScore: 0, maxPerProtocol: 0.4, maxPerChain: 0.6, maxPerPool: 0.25, maxPoolTvlShare: 0.05, minTvl: 1e6, chains: [] };
+
+function concentration(allocations, key, total) {
+  const m = new Map();
+  for (const a of allocations) m.set(a[key], (m.get(a[key]) || 0) + a.amountUsd);
+  return [...m.entries()].map(([k, amountUsd]) => ({ key: k, amountUsd: Math.round(amountUsd), share: round4(amountUsd / total) }))
+    .sort((a, b) => b.amountUsd - a.amountUsd);
+}
+function optimizePortfolio(input, pools, scoreMap) {
+  // validateAgainst lets optional fields through as null; those mean "use the default", not null
+  const o = { ...PORTFOLIO_DEFAULTS, ...Object.fromEntries(Object.entries(input || {}).filter(([, v]) => v != null)) };
+  const chains = new Set(o.chains.map(c => c.toLowerCase()));
+  const candidates = pools.filter(p => p.pool && typeof p.apy === "number" && p.apy > 0 && (p.tvlUsd || 0) >= o.minTvl)
+    .filter(p => !chains.size || chains.has((p.chain || "").toLowerCase()))
+    .map(p => {
+      const coinScore = scoreMap.get((p.symbol || "").toUpperCase()) || 0;
+      const platform = platformForProject(p.project);
+      const platformScore = platform ? scorePlatform(platform) : null;
+      const risk = riskAdjustYield(p, coinScore);
+      return { p, coinScore, platformScore, protocol: platform?.name || p.project, risk, value: o.objective === "yield" ? p.apy : risk.riskAdjustedApy };
+    })
+    .filter(c => c.coinScore >= o.minCoinScore && (o.minPlatformScore <= 0 || (c.platformScore ?? 0) >= o.minPlatformScore) && c.value > 0)
+    .sort((a, b) => b.value - a.value);
+
+  const used = { protocol: new Map(), chain: new Map() };
+  const allocations = [];
+  let remaining = o.amountUsd;
+  for (const c of candidates) {
+    if (remaining < 1) break;
+    const caps = {
+      pool: o.maxPerPool * o.amountUsd,
+      poolTvl: o.maxPoolTvlShare * c.p.tvlUsd,
+      protocol: o.maxPerProtocol * o.amountUsd - (used.protocol.get(c.protocol) || 0),
+      chain: o.maxPerChain * o.amountUsd - (used.chain.get(c.p.chain) || 0),
+      amount: remaining
+    };
+    const [bindingCap, amountUsd] = Object.entries(caps).reduce((a, b) => b[1] < a[1] ? b : a);
+    if (amountUsd < 1) continue;
+    used.protocol.set(c.protocol, (used.protocol.get(c.protocol) || 0) + amountUsd);
+    used.chain.set(c.p.chain, (used.chain.get(c.p.chain) || 0) + amountUsd);
+    remaining -= amountUsd;
+    allocations.push({
+      pool: c.p.pool, project: c.p.project, protocol: c.protocol, chain: c.p.chain, symbol: c.p.symbol,
+      amountUsd: Math.round(amountUsd), weight: round4(amountUsd / o.amountUsd),
+      apy: c.p.apy, apyBase: c.p.apyBase ?? null, riskAdjustedApy: c.risk.riskAdjustedApy, riskScore: c.risk.riskScore,
+      complianceScore: c.coinScore, platformScore: c.platformScore, bindingCap
+    });
+  }
+  const allocated = o.amountUsd - remaining;
+  const blend = k => allocated ? round2(allocations.reduce((a, x) => a + x.amountUsd * (x[k] || 0), 0) / allocated) : null;
+  const byProtocol = concentration(allocations, "protocol", o.amountUsd);
+  return {
+    params: o,
+    amountUsd: o.amountUsd, allocatedUsd: Math.round(allocated), unallocatedUsd: Math.round(remaining),
+    blendedApy: blend("apy"), blendedBaseApy: blend("apyBase"), blendedRiskAdjustedApy: blend("riskAdjustedApy"),
+    expectedAnnualIncomeUsd: Math.round(allocations.reduce((a, x) => a + x.amountUsd * x.apy / 100, 0)),
+    candidates: candidates.length,
+    allocations,
+    concentration: {
+      byProtocol, byChain: concentration(allocations, "chain", o.amountUsd), bySymbol: concentration(allocations, "symbol", o.amountUsd),
+      hhi: Math.round(byProtocol.reduce((a, x) => a + (100 * x.share) ** 2, 0)) // Herfindahl over protocol shares of the full amount
+    }
+  };
+}
+async function runPortfolio(params) {
+  const yields = await loadYields();
+  if (!memory.stablecoins.data) memory.stablecoins={ data: await buildStablecoinListLive(), t: Date.now() };
+  const scoreMap = new Map(memory.stablecoins.data.map(s => [s.symbol.toUpperCase(), s.score || 0]));
+  return { ...cacheMarker(yields), ...optimizePortfolio(params, yields.data || [], scoreMap) };
+}
+const portfolioRow = r => ({ id: r.id, name: r.name, params: r.params, result: r.result, createdAt: r.created_at });
+
+app.post("/api/portfolio/optimize", async (req,res)=>{
+  const errors = validateAgainst(PORTFOLIO_PARAM_FIELDS, req.body);
+  if (errors.length) return res.status(400).json({ error: "validation_failed", details: errors });
+  try { res.json(await runPortfolio(req.body)); }
+  catch { res.status(503).json({ error: "upstream_unavailable", source: "yields" }); }
+});
+app.get("/api/portfolios", requireAuth, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const r = await db.query("select * from sl_portfolios where user_email=$1 order by created_at desc", [req.user?.email || "user@unknown"]);
+    res.json({ portfolios: r.rows.map(portfolioRow) });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+// Runs the optimizer and stores params + result; ?rerun=1 on GET /:id re-optimizes against today's pools
+app.post("/api/portfolios", requireAuth, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const { name, params } = req.body || {};
+    if (!name || typeof name !== "string" || name.length > 120) return res.status(400).json({ error: "validation_failed", details: ["name is required (max 120 chars)"] });
+    const errors = validateAgainst(PORTFOLIO_PARAM_FIELDS, params);
+    if (errors.length) return res.status(400).json({ error: "validation_failed", details: errors });
+    let result;
+    try { result = await runPortfolio(params); }
+    catch { return res.status(503).json({ error: "upstream_unavailable", source: "yields" }); }
+    const r = await db.query(
+      "insert into sl_portfolios (user_email, name, params, result) values ($1,$2,$3,$4) returning *",
+      [req.user?.email || "user@unknown", name.trim(), params, result]
+    );
+    res.status(201).json({ portfolio: portfolioRow(r.rows[0]) });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.get("/api/portfolios/:id", requireAuth, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const id = parseId(req.params.id);
+    if (!id) return res.status(404).json({ error: "not_found" });
+    const row = (await db.query("select * from sl_portfolios where id=$1 and user_email=$2", [id, req.user?.email || "user@unknown"])).rows[0];
+    if (!row) return res.status(404).json({ error: "not_found" });
+    const portfolio = portfolioRow(row);
+    if (req.query.rerun !== "1") return res.json({ portfolio });
+    try { res.json({ portfolio, current: await runPortfolio(portfolio.params) }); }
+    catch { res.json({ portfolio, current: null }); }
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.delete("/api/portfolios/:id", requireAuth, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const id = parseId(req.params.id);
+    if (!id) return res.status(404).json({ error: "not_found" });
+    const r = await db.query("delete from sl_portfolios where id=$1 and user_email=$2", [id, req.user?.email || "user@unknown"]);
+    if (!r.rowCount) return res.status(404).json({ error: "not_found" });
+    res.json({ ok: true });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+
 // ===== Payments Endpoints =====
 app.get("/api/payments/corridors", async (_req,res)=>{
   try {
-    const rows = SEEDED_CORRIDORS.map(c => {
+    const rows = registry.corridors.map(c => {
       const base = corridorBaseCalc(c);
       return {
         id: c.id, from: c.from, to: c.to,
@@ -576,7 +2878,7 @@ app.get("/api/payments/corridors", async (_req,res)=>{
 app.get("/api/payments/corridors/:id", async (req,res)=>{
   const id = req.params.id;
   try {
-    const c = SEEDED_CORRIDORS.find(x => x.id.toLowerCase() === id.toLowerCase());
+    const c = registry.corridors.find(x => x.id.toLowerCase() === id.toLowerCase());
     if (!c) return res.status(404).json({ error: "not_found" });
     const base = corridorBaseCalc(c);
 
@@ -590,66 +2892,1582 @@ app.get("/api/payments/corridors/:id", async (req,res)=>{
         legacySettleDays: c.legacySettleDays, prefundDays: c.prefundDays, onchainHours: c.onchainHours,
         avgDailyVolUsd: c.avgDailyVolUsd, wacc: c.wacc, ramps: c.ramps || [], notes: c.notes
       },
-      base, scenario: { volumeUsd, wacc, ...scen }
+      base, scenario: { volumeUsd, wacc, ...scen },
+      costModel: corridorCostModel(c, volumeUsd, wacc)
     });
   } catch (e) {
     res.status(500).json({ error: "server_error" });
   }
 });
 
-// Issuer carry estimator: supplyUsd & investablePct optional (defaults: 0, 0.8)
-// Uses max(SOFR_latest, DGS3MO_latest) as carry rate proxy
+// Sweep: ?volumeMin&volumeMax&volumeSteps&waccMin&waccMax&waccSteps&metric (≤ 25 steps per axis)
+app.get("/api/payments/corridors/:id/sensitivity", async (req,res)=>{
+  const c = findCorridor(req.params.id);
+  if (!c) return res.status(404).json({ error: "not_found" });
+  const metric = req.query.metric || "annualAllInSavingsUsd";
+  if (!SENSITIVITY_METRICS[metric]) return res.status(400).json({ error: "bad_request", detail: `metric must be one of ${Object.keys(SENSITIVITY_METRICS).join(", ")}` });
+  const num = (k, d) => { const v = Number(req.query[k]); return isFinite(v) && req.query[k] !== undefined ? v : d; };
+  const baseVol = c.avgDailyVolUsd || 1_000_000, baseWacc = c.wacc || 0.1;
+  const volumeMin = Math.max(0, num("volumeMin", baseVol * 0.25)), volumeMax = Math.max(volumeMin, num("volumeMax", baseVol * 2));
+  const waccMin = Math.max(0, num("waccMin", Math.max(0, baseWacc - 0.06))), waccMax = Math.min(1, Math.max(waccMin, num("waccMax", baseWacc + 0.06)));
+  const steps = (k, d) => Math.max(1, Math.min(25, Math.round(num(k, d))));
+  try {
+    res.json({ corridorId: c.id, ...corridorSensitivity(c, {
+      volumes: linspace(volumeMin, volumeMax, steps("volumeSteps", 8)),
+      waccs: linspace(waccMin, waccMax, steps("waccSteps", 7)),
+      metric
+    }) });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+
+// ----- Scenario library / comparison -----
+const SCENARIO_PARAM_FIELDS = {
+  volumeUsd: { type: "number", required: true, min: 0 },
+  wacc:      { type: "number", required: true, min: 0, max: 1 }
+};
+const findCorridor = id => registry.corridors.find(x => x.id.toLowerCase() === String(id || "").toLowerCase());
+function scenarioColumn({ label, corridor, params, scenario = null }) {
+  const result = corridor ? corridorScenario(corridor, params.volumeUsd, params.wacc) : null;
+  const costs = corridor ? corridorCostModel(corridor, params.volumeUsd, params.wacc) : null;
+  return {
+    label, scenarioId: scenario?.id ?? null, corridorId: corridor?.id ?? scenario?.corridorId ?? null,
+    missingCorridor: !corridor, params,
+    timeSavedDays: corridor ? corridorBaseCalc(corridor).timeSavedDays : null,
+    ...(result || { freedFloatUsd: null, annualCostSavingsUsd: null }),
+    legacyCostPer1MUsd: costs?.per1M.legacy.total ?? null, stablecoinCostPer1MUsd: costs?.per1M.stablecoin.total ?? null,
+    annualAllInSavingsUsd: costs?.annual.allInSavingsUsd ?? null
+  };
+}
+const scenarioRow = r => ({ id: r.id, name: r.name || `Scenario ${r.id}`, corridorId: r.corridor_id, params: r.params, createdAt: r.created_at, updatedAt: r.updated_at, workspaceId: r.workspace_id ?? null, createdBy: r.user_email });
+// Corridor defaults side by side: ?corridors=US-MX,US-BR[&volumeUsd=&wacc=] (overrides apply to all)
+app.get("/api/payments/compare", async (req,res)=>{
+  const ids = String(req.query.corridors || "").split(",").map(s => s.trim()).filter(Boolean).slice(0, 12);
+  if (!ids.length) return res.status(400).json({ error: "bad_request", detail: "corridors required" });
+  const columns = ids.map(id => {
+    const c = findCorridor(id);
+    const params = { volumeUsd: Number(req.query.volumeUsd || c?.avgDailyVolUsd || 0), wacc: Number(req.query.wacc || c?.wacc || 0.1) };
+    return scenarioColumn({ label: c ? `${c.from}→${c.to} (${c.id})` : id, corridor: c, params });
+  });
+  res.json({ columns });
+});
+app.get("/api/scenarios", requireAuth, withWorkspace, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const corridor = req.query.corridor ? String(req.query.corridor).toUpperCase() : null;
+    const scope = ownerScope(req, 2);
+    const r = await db.query(
+      `select * from sl_scenarios where ($1::text is null or corridor_id=$1) and ${scope.sql} order by corridor_id, created_at`,
+      [corridor, ...scope.params]
+    );
+    res.json({ scenarios: r.rows.map(row => {
+      const sc = scenarioRow(row);
+      const c = findCorridor(sc.corridorId);
+      return { ...sc, result: c ? corridorScenario(c, sc.params.volumeUsd, sc.params.wacc) : null };
+    }) });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.post("/api/scenarios", requireAuth, withWorkspace, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const { corridor_id, name, params } = req.body || {};
+    const c = findCorridor(corridor_id);
+    if (!c) return res.status(400).json({ error: "unknown_corridor" });
+    if (!name || typeof name !== "string" || name.length > 120) return res.status(400).json({ error: "validation_failed", details: ["name is required (max 120 chars)"] });
+    const errors = validateAgainst(SCENARIO_PARAM_FIELDS, params);
+    if (errors.length) return res.status(400).json({ error: "validation_failed", details: errors });
+    const r = await db.query(
+      "insert into sl_scenarios (user_email, workspace_id, corridor_id, name, params) values ($1,$2,$3,$4,$5) returning *",
+      [req.user?.email || "user@unknown", req.workspace?.id ?? null, c.id, name.trim(), params]
+    );
+    res.status(201).json({ scenario: { ...scenarioRow(r.rows[0]), result: corridorScenario(c, params.volumeUsd, params.wacc) } });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.get("/api/scenarios/compare", requireAuth, withWorkspace, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const ids = String(req.query.ids || "").split(",").map(parseId).filter(Boolean).slice(0, 12);
+    if (!ids.length) return res.status(400).json({ error: "bad_request", detail: "ids required" });
+    const scope = ownerScope(req, 2);
+    const r = await db.query(`select * from sl_scenarios where id = any($1::int[]) and ${scope.sql}`, [ids, ...scope.params]);
+    const byId = new Map(r.rows.map(row => [row.id, scenarioRow(row)]));
+    const columns = ids.filter(id => byId.has(id)).map(id => {
+      const sc = byId.get(id);
+      return scenarioColumn({ label: sc.name, corridor: findCorridor(sc.corridorId), params: sc.params, scenario: sc });
+    });
+    res.json({ columns });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+// Rename and/or change assumptions
+app.patch("/api/scenarios/:id", requireAuth, withWorkspace, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const id = parseId(req.params.id);
+    if (!id) return res.status(404).json({ error: "not_found" });
+    const scope = ownerScope(req, 2, { write: true });
+    const cur = (await db.query(`select * from sl_scenarios where id=$1 and ${scope.sql}`, [id, ...scope.params])).rows[0];
+    if (!cur) return res.status(404).json({ error: "not_found" });
+    const name = req.body?.name ?? cur.name;
+    const params = req.body?.params ? { ...cur.params, ...req.body.params } : cur.params;
+    if (!name || typeof name !== "string" || name.length > 120) return res.status(400).json({ error: "validation_failed", details: ["name is required (max 120 chars)"] });
+    const errors = validateAgainst(SCENARIO_PARAM_FIELDS, params);
+    if (errors.length) return res.status(400).json({ error: "validation_failed", details: errors });
+    const r = await db.query("update sl_scenarios set name=$2, params=$3, updated_at=now() where id=$1 returning *", [cur.id, name.trim(), params]);
+    res.json({ scenario: scenarioRow(r.rows[0]) });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.delete("/api/scenarios/:id", requireAuth, withWorkspace, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const id = parseId(req.params.id);
+    if (!id) return res.status(404).json({ error: "not_found" });
+    const scope = ownerScope(req, 2, { write: true });
+    const r = await db.query(`delete from sl_scenarios where id=$1 and ${scope.sql}`, [id, ...scope.params]);
+    if (!r.rowCount) return res.status(404).json({ error: "not_found" });
+    res.json({ ok: true });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+
+// ===== Issuer carry =====
+// Each coin's registry entry carries a reserve composition (shares of supply per bucket). Income is
+// circulating supply × share × the bucket's rate; passThrough is how much of a policy-rate cut reaches a bucket.
+// Entries persisted before reserves existed fall back to the seed composition.
+const RESERVE_BUCKETS = {
+  tbills:   { label: "T-bills",                  rate: r => r.tbill,        passThrough: 1 },
+  repo:     { label: "Reverse repo",             rate: r => r.sofr,         passThrough: 1 },
+  mmf:      { label: "Government MMFs",          rate: r => r.sofr - 0.15,  passThrough: 1 },   // net of fund fees
+  deposits: { label: "Bank deposits",            rate: r => r.sofr * 0.5,   passThrough: 0.5 }, // deposit beta
+  crypto:   { label: "Crypto collateral",        rate: () => 0,             passThrough: 0 },
+  other:    { label: "Other (gold, loans, ...)", rate: () => 0,             passThrough: 0 }
+};
+const CARRY_CUTS_BPS = [25, 50, 100, 200];
+
+function reservesFor(sc) {
+  return sc.reserves || null;
+}
+async function carryRates() {
+  const [sofrR, dgsR] = await Promise.allSettled([sofrSeries(), fredSeries("DGS3MO", 1)]);
+  const used = [sofrR, dgsR].filter(r => r.status === "fulfilled").map(r => r.value);
+  const sofr = sofrR.value?.data.slice(-1)[0]?.v ?? null;
+  const tbill = dgsR.value?.data.slice(-1)[0]?.v ?? null;
+  if (sofr == null && tbill == null) return null;
+  return { sofr: sofr ?? tbill, tbill: tbill ?? sofr, updatedAt: Math.min(...used.map(r => r.t)), ...cacheMarker(...used) };
+}
+function issuerCarry(sc, rates, cutsBps = CARRY_CUTS_BPS) {
+  const reserves = reservesFor(sc);
+  if (!reserves) return null;
+  const supply = marketFor(sc.symbol).supply;
+  const buckets = Object.entries(RESERVE_BUCKETS).filter(([k]) => reserves[k] > 0).map(([k, b]) => {
+    const ratePct = Math.max(0, b.rate(rates));
+    const amountUsd = supply.value != null ? supply.value * reserves[k] : null;
+    return { bucket: k, label: b.label, share: reserves[k], amountUsd, ratePct: round2(ratePct), incomeUsd: amountUsd != null ? amountUsd * ratePct / 100 : null };
+  });
+  const yieldAt = cut => buckets.reduce((a, x) => a + x.share * Math.max(0, x.ratePct - (cut / 100) * RESERVE_BUCKETS[x.bucket].passThrough), 0);
+  const incomeAt = cut => supply.value != null ? supply.value * yieldAt(cut) / 100 : null;
+  const annualIncomeUsd = incomeAt(0);
+  return {
+    symbol: sc.symbol, issuer: sc.issuer, reservesAsOf: reserves.asOf,
+    supplyUsd: supply.value, supplyAsOf: supply.asOf, supplyStale: supply.stale,
+    blendedYieldPct: round2(yieldAt(0)), annualIncomeUsd, buckets,
+    sensitivity: cutsBps.map(cut => ({
+      cutBps: cut, blendedYieldPct: round2(yieldAt(cut)), annualIncomeUsd: incomeAt(cut),
+      deltaUsd: annualIncomeUsd != null ? incomeAt(cut) - annualIncomeUsd : null
+    }))
+  };
+}
+function parseCuts(q) {
+  if (!q) return CARRY_CUTS_BPS;
+  const cuts = String(q).split(",").map(Number).filter(n => Number.isFinite(n) && n >= 0 && n <= 1000);
+  return cuts.length ? cuts.slice(0, 10) : null;
+}
+// Comparison across issuers (optionally ?symbols=USDC,USDT), largest income first
+app.get("/api/issuer-carry", async (req,res)=>{
+  const cuts = parseCuts(req.query.cuts);
+  if (!cuts) return res.status(400).json({ error: "bad_request" });
+  try {
+    const rates = await carryRates();
+    if (!rates) return res.status(502).json({ error: "Rates unavailable" });
+    if (Date.now() - marketRefreshedAt > TTL.stablecoins) await refreshMarketData();
+    const wanted = req.query.symbols ? new Set(String(req.query.symbols).toUpperCase().split(",")) : null;
+    const issuers = registry.coins.filter(sc => !wanted || wanted.has(sc.symbol.toUpperCase()))
+      .map(sc => issuerCarry(sc, rates, cuts)).filter(Boolean)
+      .sort((a, b) => (b.annualIncomeUsd ?? -1) - (a.annualIncomeUsd ?? -1));
+    res.json({ rates, cutsBps: cuts, issuers });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
 app.get("/api/issuer-carry/:symbol", async (req,res)=>{
+  const cuts = parseCuts(req.query.cuts);
+  if (!cuts) return res.status(400).json({ error: "bad_request" });
   try {
-    const supplyUsd = Number(req.query.supplyUsd || 0);
-    const investablePct = Math.max(0, Math.min(1, Number(req.query.investablePct || 0.8)));
-    const sofrSeries = await fetchSOFRLast30();
-    const sofr = sofrSeries.slice(-1)[0]?.v ?? null;
-    const dgs3m = (await fetchFREDCSV("DGS3MO", 30)).slice(-1)[0]?.v ?? null;
-    const estRatePct = (sofr!=null && dgs3m!=null) ? Math.max(sofr, dgs3m) : (sofr ?? dgs3m ?? null);
-    const investableUsd = supplyUsd * investablePct;
-    const estIncomeUsd = (estRatePct!=null) ? investableUsd * (estRatePct/100) : null;
-    res.json({ updatedAt: Date.now(), symbol: req.params.symbol.toUpperCase(), inputs: { supplyUsd, investablePct }, estRatePct, investableUsd, estIncomeUsd });
-  } catch {
-    res.status(500).json({ error: "server_error" });
+    const sc = registry.coins.find(s => s.symbol.toUpperCase() === (req.params.symbol || "").toUpperCase());
+    if (!sc) return res.status(404).json({ error: "not_found" });
+    if (!reservesFor(sc)) return res.status(404).json({ error: "no_reserve_model" });
+    const rates = await carryRates();
+    if (!rates) return res.status(502).json({ error: "Rates unavailable" });
+    if (Date.now() - marketRefreshedAt > TTL.stablecoins) await refreshMarketData();
+    res.json({ rates, cutsBps: cuts, ...issuerCarry(sc, rates, cuts) });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+
+// ===== Reports and exports =====
+// A report is a JSON snapshot rendered to printable HTML. Its id hashes the content, so regenerating
+// against unchanged data returns the same permalink; /api/reports/:id always serves the stored snapshot.
+// The report routes are public, so a report generated in the last REPORT_REUSE_MS is served again instead of
+// storing a fresh snapshot on every request.
+const REPORT_REUSE_MS = 10 * 60 * 1000;
+const REPORT_MEMORY_MAX = 200;
+const reportMemory = new Map(); // fallback when DATABASE_URL is missing
+const EXPORT_MAX_ROWS = 5000;
+
+function dataStatus(source, r) {
+  if (!r) return { source, available: false, asOf: null, stale: true };
+  return { source, available: true, asOf: r.t ?? r.updatedAt ?? null, stale: !!r.stale }; // no age: it would change the report hash every second
+}
+function marketStatus(symbols) {
+  const fields = symbols.flatMap(sym => { const m = marketFor(sym); return [m.price, m.supply]; }).filter(f => f.asOf != null);
+  return { source: "market", available: fields.length > 0, asOf: fields.length ? Math.min(...fields.map(f => f.asOf)) : null, stale: !fields.length || fields.some(f => f.stale) };
+}
+const reportNews = (items, type, id) => items.filter(n => newsAbout(n, type, id)).slice(0, 10)
+  .map(n => ({ title: n.title, link: n.link, sources: n.sources, isoDate: n.isoDate, category: n.category, severity: n.severity }));
+
+async function stablecoinReport(sc) {
+  const sym = sc.symbol.toUpperCase();
+  await refreshMarketIfStale();
+  if (!memory.stablecoins.data) memory.stablecoins={ data: await buildStablecoinListLive(), t: Date.now() };
+  const found = memory.stablecoins.data.find(s => s.symbol.toUpperCase() === sym) || sc;
+  const [yields, news, rates, incidents] = await Promise.all([
+    loadYields().catch(() => null), loadNews().catch(() => null), carryRates().catch(() => null),
+    sc.pegged === false ? [] : depegIncidentsFor(sym).catch(() => [])
+  ]);
+  const m = marketFor(sym), row = registryRows.get(`coin:${registryId("coin", sc)}`);
+  return {
+    kind: "stablecoin", entityId: sc.symbol, title: `${sc.symbol} — ${sc.name}`,
+    registry: { ...sc, updatedAt: row?.updatedAt ?? null, updatedBy: row?.updatedBy ?? null },
+    score: found.score, breakdown: scoreBreakdown(found, found.depegIncidents || 0),
+    market: { price: m.price.value, change24h: m.change24h.value, supplyUsd: m.supply.value, supplyByChain: m.supplyByChain.value, asOf: m.price.asOf },
+    topPools: (yields?.data || []).filter(p => (p.symbol || "").toUpperCase() === sym).sort((a, b) => (b.tvlUsd || 0) - (a.tvlUsd || 0)).slice(0, 10)
+      .map(p => ({ project: p.project, chain: p.chain, apy: p.apy, apyBase: p.apyBase, tvlUsd: p.tvlUsd, riskAdjustedApy: riskAdjustYield(p, found.score).riskAdjustedApy })),
+    carry: rates ? issuerCarry(sc, rates) : null,
+    depegIncidents: incidents.slice(-10),
+    alerts: buildAlerts({ stablecoins: memory.stablecoins.data, news: news?.data || [] }).filter(a => (a.symbol || "").toUpperCase() === sym),
+    news: reportNews(news?.data || [], "coin", sym),
+    dataStatus: [marketStatus([sym]), dataStatus("yields", yields), dataStatus("news", news), dataStatus("rates", rates)]
+  };
+}
+async function platformReport(p) {
+  const [yields, news] = await Promise.all([loadYields().catch(() => null), loadNews().catch(() => null)]);
+  const row = registryRows.get(`platform:${registryId("platform", p)}`);
+  const breakdown = platformBreakdown(p);
+  const items = news?.data || [];
+  const links = new Set(items.filter(n => newsAbout(n, "platform", p.name)).map(n => n.link));
+  return {
+    kind: "platform", entityId: p.name, title: p.name,
+    registry: { ...p, updatedAt: row?.updatedAt ?? null, updatedBy: row?.updatedBy ?? null },
+    score: breakdown.total, breakdown,
+    topPools: (yields?.data || []).filter(x => platformForProject(x.project)?.name === p.name).sort((a, b) => (b.tvlUsd || 0) - (a.tvlUsd || 0)).slice(0, 10)
+      .map(x => ({ project: x.project, chain: x.chain, symbol: x.symbol, apy: x.apy, apyBase: x.apyBase, tvlUsd: x.tvlUsd })),
+    alerts: buildAlerts({ news: items }).filter(a => links.has(a.link)),
+    news: reportNews(items, "platform", p.name),
+    dataStatus: [dataStatus("yields", yields), dataStatus("news", news)]
+  };
+}
+async function saveReport(report) {
+  const generatedAt = Date.now();
+  const id = crypto.createHash("sha1").update(JSON.stringify(report)).digest("hex").slice(0, 16);
+  if (db) {
+    await db.query("insert into sl_reports (id, kind, entity_id, data, created_at) values ($1,$2,$3,$4,$5) on conflict (id) do nothing",
+      [id, report.kind, report.entityId, report, new Date(generatedAt)]);
+    const r = await db.query("select created_at from sl_reports where id=$1", [id]);
+    return { id, generatedAt: new Date(r.rows[0].created_at).getTime(), report };
+  }
+  if (!reportMemory.has(id)) {
+    reportMemory.set(id, { id, generatedAt, report });
+    if (reportMemory.size > REPORT_MEMORY_MAX) reportMemory.delete(reportMemory.keys().next().value);
   }
+  return reportMemory.get(id);
+}
+async function recentReport(kind, entityId) {
+  const since = Date.now() - REPORT_REUSE_MS;
+  if (db) {
+    const r = await db.query("select id, data, created_at from sl_reports where kind=$1 and entity_id=$2 and created_at > $3 order by created_at desc limit 1",
+      [kind, entityId, new Date(since)]);
+    return r.rows[0] ? { id: r.rows[0].id, generatedAt: new Date(r.rows[0].created_at).getTime(), report: r.rows[0].data } : null;
+  }
+  return [...reportMemory.values()].reverse().find(x => x.report.kind === kind && x.report.entityId === entityId && x.generatedAt > since) || null;
+}
+async function loadReport(id) {
+  if (db) {
+    const r = await db.query("select id, data, created_at from sl_reports where id=$1", [id]);
+    return r.rows[0] ? { id: r.rows[0].id, generatedAt: new Date(r.rows[0].created_at).getTime(), report: r.rows[0].data } : null;
+  }
+  return reportMemory.get(id) || null;
+}
+
+const fmtReportUsd = v => v == null ? "—" : "$" + (Math.abs(v) >= 1e9 ? (v / 1e9).toFixed(2) + "bn" : Math.abs(v) >= 1e6 ? (v / 1e6).toFixed(1) + "m" : Math.round(v).toLocaleString("en-US"));
+const fmtReportPct = v => v == null ? "—" : `${Number(v).toFixed(2)}%`;
+const fmtReportTime = t => t ? new Date(t).toISOString().replace("T", " ").slice(0, 16) + " UTC" : "—";
+function htmlTable(columns, rows) {
+  if (!rows.length) return `<p class="muted">None.</p>`;
+  return `<table><thead><tr>${columns.map(([label]) => `<th>${escapeHtml(label)}</th>`).join("")}</tr></thead><tbody>${
+    rows.map(r => `<tr>${columns.map(([, fmt]) => `<td>${fmt(r)}</td>`).join("")}</tr>`).join("")}</tbody></table>`;
+}
+function renderReportHtml({ id, generatedAt, report: r }) {
+  const e = r.registry, stale = r.dataStatus.filter(s => s.stale);
+  const facts = r.kind === "stablecoin"
+    ? [["Issuer", e.issuer], ["Jurisdiction", e.jurisdiction], ["Auditor", e.auditor], ["Model", e.model], ["GENIUS Act", e.genius], ["Chains", (e.chains || []).join(", ")],
+       ["Price", r.market.price?.toFixed(4)], ["Circulating supply", fmtReportUsd(r.market.supplyUsd)]]
+    : [["Category", e.category], ["Jurisdiction", e.jurisdiction || e.chain], ["Licenses", (e.licenses || []).join(", ")], ["Auditor / audits", e.auditor || (e.audits || []).join(", ")],
+       ["Proof of reserves", e.por], ["Insured", e.insured ? "Yes" : "No"], ["Risk notes", e.riskNotes]];
+  const sections = [
+    `<h2>Summary</h2>${htmlTable([["Field", x => escapeHtml(x[0])], ["Value", x => escapeHtml(x[1] ?? "—")]], facts)}`,
+    `<h2>Score ${escapeHtml(r.score)} / 10 <span class="muted">(model v${escapeHtml(r.breakdown.version)})</span></h2>${
+      htmlTable([["Factor", x => escapeHtml(x[0])], ["Points", x => escapeHtml(x[1])]], Object.entries(r.breakdown.parts || {}))}<p>${escapeHtml(r.breakdown.why)}</p>`,
+    r.carry ? `<h2>Issuer carry</h2><p>Blended reserve yield ${fmtReportPct(r.carry.blendedYieldPct)} on ${fmtReportUsd(r.carry.supplyUsd)} ≈ ${fmtReportUsd(r.carry.annualIncomeUsd)} / yr (reserves as of ${escapeHtml(r.carry.reservesAsOf)}).</p>${
+      htmlTable([["Bucket", x => escapeHtml(x.label)], ["Share", x => fmtReportPct(100 * x.share)], ["Rate", x => fmtReportPct(x.ratePct)], ["Income / yr", x => fmtReportUsd(x.incomeUsd)]], r.carry.buckets)}` : "",
+    `<h2>Top pools</h2>${htmlTable([["Project", x => escapeHtml(x.project)], ["Chain", x => escapeHtml(x.chain)], ...(r.kind === "platform" ? [["Symbol", x => escapeHtml(x.symbol)]] : []),
+      ["APY", x => fmtReportPct(x.apy)], ["Base", x => fmtReportPct(x.apyBase)], ["TVL", x => fmtReportUsd(x.tvlUsd)]], r.topPools)}`,
+    r.depegIncidents ? `<h2>Depeg incidents</h2>${htmlTable([["Start", x => fmtReportTime(x.start)], ["Minutes", x => escapeHtml(x.durationMinutes)], ["Max deviation", x => fmtReportPct(100 * x.maxDeviation)]], r.depegIncidents)}` : "",
+    `<h2>Alerts</h2>${htmlTable([["Severity", x => escapeHtml(x.severity)], ["Type", x => escapeHtml(x.type)], ["Message", x => escapeHtml(x.message)]], r.alerts)}`,
+    `<h2>News</h2>${htmlTable([["Date", x => fmtReportTime(Date.parse(x.isoDate || ""))], ["Category", x => `${escapeHtml(x.category)} (${escapeHtml(x.severity)})`],
+      ["Headline", x => `<a href="${escapeHtml(x.link)}">${escapeHtml(x.title)}</a> <span class="muted">${escapeHtml(x.sources.join(", "))}</span>`]], r.news)}`,
+    `<h2>Data freshness</h2>${htmlTable([["Source", x => escapeHtml(x.source)], ["As of", x => fmtReportTime(x.asOf)], ["Status", x => !x.available ? "unavailable" : x.stale ? "<b>stale</b>" : "fresh"]], r.dataStatus)}`
+  ];
+  return `<!doctype html><html lang="en"><head><meta charset="utf-8"><title>${escapeHtml(r.title)} — StableLens due-diligence report</title>
+<style>body{font:14px/1.5 system-ui,sans-serif;max-width:900px;margin:24px auto;padding:0 16px;color:#111}h1{margin-bottom:0}h2{margin-top:28px;font-size:17px;border-bottom:1px solid #ddd;padding-bottom:4px}
+table{border-collapse:collapse;width:100%}th,td{text-align:left;padding:4px 8px;border-bottom:1px solid #eee;vertical-align:top}.muted{color:#666}.warn{background:#fff4d6;border:1px solid #e8c766;padding:8px 12px;border-radius:6px}
+@media print{a{color:inherit;text-decoration:none}}</style></head><body>
+<h1>${escapeHtml(r.title)}</h1><p class="muted">${r.kind === "stablecoin" ? "Stablecoin" : "Platform"} due-diligence report • generated ${fmtReportTime(generatedAt)} • permalink <a href="/api/reports/${id}">/api/reports/${id}</a></p>
+${stale.length ? `<p class="warn">Stale or unavailable at generation time: ${stale.map(s => escapeHtml(s.source)).join(", ")}.</p>` : ""}
+${sections.join("\n")}
+</body></html>`;
+}
+function sendReport(req, res, saved) {
+  if (req.query.format === "json") return res.json({ id: saved.id, permalink: `/api/reports/${saved.id}`, generatedAt: saved.generatedAt, ...saved.report });
+  res.type("html").send(renderReportHtml(saved));
+}
+
+app.get("/api/reports/stablecoin/:symbol", async (req,res)=>{
+  const sc = registry.coins.find(s => s.symbol.toUpperCase() === (req.params.symbol || "").toUpperCase());
+  if (!sc) return res.status(404).json({ error: "not_found" });
+  try { sendReport(req, res, await recentReport("stablecoin", sc.symbol) || await saveReport(await stablecoinReport(sc))); }
+  catch { res.status(500).json({ error: "server_error" }); }
+});
+app.get("/api/reports/platform/:name", async (req,res)=>{
+  const name = (req.params.name || "").toLowerCase(); // Express has already decoded the param
+  const p = [...registry.platforms.cefi, ...registry.platforms.defi].find(x => x.name.toLowerCase() === name);
+  if (!p) return res.status(404).json({ error: "not_found" });
+  try { sendReport(req, res, await recentReport("platform", p.name) || await saveReport(await platformReport(p))); }
+  catch { res.status(500).json({ error: "server_error" }); }
+});
+app.get("/api/reports/:id", async (req,res)=>{
+  try {
+    const saved = await loadReport(req.params.id);
+    if (!saved) return res.status(404).json({ error: "not_found" });
+    sendReport(req, res, saved);
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+
+// Exports: ?format=csv (default) or json. Both carry generatedAt and the sources that were stale; CSV puts
+// them in X-Generated-At / X-Stale-Sources headers and per-row *Stale columns where a row has its own timestamp.
+// Text starting with = + - @ (or tab / CR) is prefixed with ' so spreadsheets don't evaluate it as a formula;
+// numbers are left alone so negative values stay numeric
+function csvCell(v) {
+  if (v == null) return "";
+  const s = typeof v === "string" && /^[=+\-@\t\r]/.test(v) ? `'${v}` : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+function sendExport(req, res, name, { columns, rows, status }) {
+  const generatedAt = Date.now();
+  const stale = status.filter(s => s.stale).map(s => s.source);
+  if (req.query.format === "json") return res.json({ generatedAt, staleSources: stale, dataStatus: status, columns, rows });
+  res.set("X-Generated-At", new Date(generatedAt).toISOString());
+  res.set("X-Stale-Sources", stale.join(",") || "none");
+  res.attachment(`${name}-${new Date(generatedAt).toISOString().slice(0, 10)}.csv`);
+  res.type("text/csv").send([columns.join(","), ...rows.map(r => columns.map(c => csvCell(Array.isArray(r[c]) ? r[c].join(";") : r[c])).join(","))].join("\n") + "\n");
+}
+app.get("/api/export/stablecoins", async (req,res)=>{
+  try {
+    await refreshMarketIfStale();
+    if (!memory.stablecoins.data || Date.now()-memory.stablecoins.t>TTL.stablecoins)
+      memory.stablecoins = { data: await buildStablecoinListLive(), t: Date.now() };
+    const rows = memory.stablecoins.data.map(s => {
+      const m = marketFor(s.symbol);
+      return { symbol: s.symbol, name: s.name, issuer: s.issuer, jurisdiction: s.jurisdiction, model: s.model, score: s.score, chains: s.chains,
+        price: m.price.value, priceAsOf: m.price.asOf && new Date(m.price.asOf).toISOString(), priceStale: m.price.stale,
+        supplyUsd: m.supply.value, supplyAsOf: m.supply.asOf && new Date(m.supply.asOf).toISOString(), supplyStale: m.supply.stale };
+    });
+    sendExport(req, res, "stablecoins", { columns: Object.keys(rows[0] || { symbol: 0 }), rows, status: [marketStatus(rows.map(r => r.symbol))] });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+// Same filters as /api/yields; limit up to EXPORT_MAX_ROWS
+app.get("/api/export/yields", async (req,res)=>{
+  const f = parseYieldQuery({ limit: String(EXPORT_MAX_ROWS), ...req.query }, EXPORT_MAX_ROWS);
+  if (!f) return res.status(400).json({ error: "bad_request" });
+  try {
+    const { yields, rows, scoreMap } = await queryYields(f);
+    const out = rows.slice(0, f.limit).map(p => ({ ...p, complianceScore: scoreMap.get((p.symbol || "").toUpperCase()) || 0 }));
+    sendExport(req, res, "yields", { columns: ["pool", "project", "chain", "symbol", "apy", "apyBase", "apyReward", "tvlUsd", "complianceScore"], rows: out, status: [dataStatus("yields", yields)] });
+  } catch { res.status(503).json({ error: "upstream_unavailable", source: "yields" }); }
+});
+app.get("/api/export/scenarios", requireAuth, withWorkspace, async (req,res)=>{
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const scope = ownerScope(req, 1);
+    const r = await db.query(`select * from sl_scenarios where ${scope.sql} order by corridor_id, created_at`, scope.params);
+    const rows = r.rows.map(row => {
+      const sc = scenarioRow(row);
+      const { label, scenarioId, params, ...col } = scenarioColumn({ label: sc.name, corridor: findCorridor(sc.corridorId), params: sc.params, scenario: sc });
+      return { id: scenarioId, name: label, ...col, volumeUsd: params.volumeUsd, wacc: params.wacc, updatedAt: sc.updatedAt && new Date(sc.updatedAt).toISOString() };
+    });
+    // corridor figures come from the registry, not an upstream feed, so there is nothing to go stale
+    sendExport(req, res, "scenarios", { columns: Object.keys(rows[0] || { id: 0 }), rows, status: [] });
+  } catch { res.status(500).json({ error: "server_error" }); }
 });
 
 // ----- Email alerts (optional) -----
-app.post("/api/send-alerts-email", async (req, res) => {
+// Emails the signed-in user their open alert events (and current feed alerts); the body is rendered here
+app.post("/api/send-alerts-email", requireAuth, async (req, res) => {
   if (!resend) return res.status(501).json({ error:"email_not_configured" });
-  const { to, subject = "StableLens Alerts", html } = req.body || {};
-  if (!to || !html) return res.status(400).json({ error:"bad_request" });
+  const to = req.user?.email;
+  if (!to) return res.status(400).json({ error:"no_email_on_account" });
+  const { subject = "StableLens Alerts" } = req.body || {};
   try {
+    const events = db ? (await db.query("select severity, message from sl_alert_events where user_email=$1 and status='open' order by last_seen desc limit 50", [to])).rows : [];
+    const feed = memory.alerts.data || [];
+    const html = renderAlertsEmail([...events, ...feed]);
     await resend.emails.send({ from: process.env.ALERTS_FROM || "alerts@stablelens.net", to, subject, html });
-    if (db) await db.query("insert into sl_alerts_sent (kind, payload) values ($1,$2)", ["email", { to, subject }]);
+    await recordDelivery({ channel: "email", fingerprint: null, payload: { to, subject, count: events.length + feed.length } });
     res.json({ ok:true });
   } catch (e) { res.status(500).json({ ok:false, error:String(e) }); }
 });
 
+// ===== Alert rules =====
+// Users define rules; the scheduled `alerts` job (every minute by default) turns firing rules into
+// alert events (open → acknowledged → resolved) and delivers new ones to slack / email / webhook.
+// sl_alerts_sent doubles as the delivery log used for dedupe + cooldown per (fingerprint, channel).
+const ALERT_NEWS_MAX_AGE_MS = 3 * 86400000;
+const escapeHtml = s => String(s ?? "").replace(/[&<>"']/g, c => ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;", "'":"&#39;" }[c]));
+function renderAlertsEmail(alerts) {
+  if (!alerts.length) return "<p>No open StableLens alerts.</p>";
+  return `<h2>StableLens alerts</h2><ul>${alerts.map(a => `<li><b>${escapeHtml(a.severity)}</b> — ${escapeHtml(a.message)}</li>`).join("")}</ul>`;
+}
+const deliveryMemory = []; // fallback log when DATABASE_URL is missing
+async function recordDelivery({ channel, fingerprint, ruleId = null, payload }) {
+  if (db) {
+    await db.query("insert into sl_alerts_sent (kind, channel, fingerprint, rule_id, payload) values ($1,$1,$2,$3,$4)", [channel, fingerprint, ruleId, payload]);
+    return;
+  }
+  deliveryMemory.push({ channel, fingerprint, t: Date.now() });
+  if (deliveryMemory.length > 5000) deliveryMemory.shift();
+}
+async function deliveredWithin(fingerprint, channel, minutes) {
+  const since = Date.now() - minutes * 60000;
+  if (db) {
+    const r = await db.query("select 1 from sl_alerts_sent where fingerprint=$1 and channel=$2 and created_at >= $3 limit 1", [fingerprint, channel, new Date(since)]);
+    return r.rowCount > 0;
+  }
+  return deliveryMemory.some(d => d.fingerprint === fingerprint && d.channel === channel && d.t >= since);
+}
+
+const ALERT_RULE_KINDS = {
+  depeg: {
+    params: {
+      symbol:       { type: "string", required: true },
+      deviationPct: { type: "number", required: true, min: 0.01, max: 50 },
+      forMinutes:   { type: "number", min: 0, max: 1440 }
+    },
+    autoResolve: true,
+    async evaluate(p) {
+      const minutes = p.forMinutes ?? 0;
+      const series = await loadPegObservations(p.symbol, Date.now() - Math.max(60, minutes * 3) * 60000);
+      const live = detectDepegIncidents(series, { threshold: p.deviationPct / 100, minMinutes: minutes }).find(i => i.ongoing);
+      if (!live) return [];
+      const pct = Math.round(live.maxDeviation * 10000) / 100;
+      return [{
+        // one fingerprint per symbol while it stays off-peg: the lookback window slides, so live.start
+        // moves forward on long depegs and would resolve/re-raise (and re-deliver) on every run
+        fingerprint: `depeg:${p.symbol.toUpperCase()}`,
+        severity: live.maxDeviation >= 0.05 ? "high" : "medium",
+        message: `${p.symbol.toUpperCase()} deviated ${pct}% from $1 for ${live.durationMinutes} min`,
+        data: live
+      }];
+    }
+  },
+  score_below: {
+    params: {
+      entity:    { type: "string", required: true, enum: ["coin", "platform"] },
+      id:        { type: "string", required: true },
+      threshold: { type: "number", required: true, min: 1, max: 10 }
+    },
+    autoResolve: true,
+    async evaluate(p, ctx) {
+      const item = p.entity === "coin"
+        ? ctx.stablecoins.find(c => c.symbol.toUpperCase() === p.id.toUpperCase())
+        : ctx.platforms.find(x => x.name.toLowerCase() === p.id.toLowerCase());
+      if (!item || item.score >= p.threshold) return [];
+      const label = item.symbol || item.name;
+      return [{ fingerprint: `score:${p.entity}:${label.toLowerCase()}`, severity: "medium", message: `${label} score ${item.score} is below ${p.threshold}`, data: { score: item.score } }];
+    }
+  },
+  news_mention: {
+    params: {
+      keywords:       { type: "array", items: { type: "string" }, required: true },
+      regulatoryOnly: { type: "boolean" }
+    },
+    autoResolve: false,
+    async evaluate(p, ctx) {
+      const words = p.keywords.map(k => k.toLowerCase()).filter(Boolean);
+      const cutoff = Date.now() - ALERT_NEWS_MAX_AGE_MS;
+      return ctx.news.filter(n => {
+        const t = `${n.title || ""} ${n.contentSnippet || ""}`.toLowerCase();
+        const when = Date.parse(n.isoDate || n.date || "") || Date.now();
+        if (when < cutoff || !words.some(w => t.includes(w))) return false;
+        return !p.regulatoryOnly || n.category === "enforcement" || n.category === "licensing";
+      }).map(n => ({ fingerprint: `news:${n.link || n.title}`, severity: "info", message: n.title, data: { link: n.link, source: n.source } }));
+    }
+  }
+};
+const ALERT_CHANNELS = ["slack", "email", "webhook"];
+const ALERT_RULE_FIELDS = {
+  name:            { type: "string", required: true },
+  kind:            { type: "string", required: true, enum: Object.keys(ALERT_RULE_KINDS) },
+  params:          { type: "object", required: true, fields: {} },
+  channels:        { type: "array", items: { type: "string", enum: ALERT_CHANNELS } },
+  webhookUrl:      { type: "string", pattern: /^https:\/\// },
+  cooldownMinutes: { type: "number", min: 0, max: 10080 },
+  enabled:         { type: "boolean" }
+};
+function validateAlertRule(body) {
+  const kind = ALERT_RULE_KINDS[body?.kind];
+  const fields = { ...ALERT_RULE_FIELDS, params: { ...ALERT_RULE_FIELDS.params, fields: kind ? kind.params : {} } };
+  const errors = validateAgainst(fields, body);
+  if ((body?.channels || []).includes("webhook") && !body.webhookUrl) errors.push("webhookUrl is required for the webhook channel");
+  return errors;
+}
+const ruleRow = r => ({
+  id: r.id, name: r.name, kind: r.kind, params: r.params, channels: r.channels.channels || [], webhookUrl: r.channels.webhookUrl || null,
+  cooldownMinutes: r.cooldown_minutes, enabled: r.enabled, createdAt: r.created_at, workspaceId: r.workspace_id ?? null, createdBy: r.user_email
+});
+
+async function deliverAlertEvent(rule, event) {
+  const text = `⚠️ ${rule.name}: ${event.message}`;
+  const results = [];
+  for (const channel of rule.channels) {
+    if (await deliveredWithin(event.fingerprint, channel, rule.cooldownMinutes)) { results.push({ channel, skipped: "cooldown" }); continue; }
+    try {
+      if (channel === "slack") {
+        if (!process.env.SLACK_WEBHOOK_URL) throw new Error("slack_not_configured");
+        await postJSON(process.env.SLACK_WEBHOOK_URL, { text });
+      } else if (channel === "email") {
+        if (!resend) throw new Error("email_not_configured");
+        await resend.emails.send({ from: process.env.ALERTS_FROM || "alerts@stablelens.net", to: rule.userEmail, subject: `StableLens: ${rule.name}`, html: renderAlertsEmail([event]) });
+      } else if (channel === "webhook") {
+        await postJSON(rule.webhookUrl, { type: "alert.raised", rule: { id: rule.id, name: rule.name, kind: rule.kind }, alert: event });
+      }
+      await recordDelivery({ channel, fingerprint: event.fingerprint, ruleId: rule.id, payload: { message: event.message, severity: event.severity } });
+      results.push({ channel, ok: true });
+    } catch (e) {
+      console.error(`alert delivery (${channel}) failed:`, String(e));
+      results.push({ channel, ok: false, error: String(e) });
+    }
+  }
+  return results;
+}
+let alertEvalRunning = false;
+async function evaluateAlertRules() {
+  if (!db || alertEvalRunning) return { skipped: true };
+  alertEvalRunning = true;
+  try {
+    const rules = (await db.query("select * from sl_alert_rules where enabled order by id")).rows.map(r => ({ ...ruleRow(r), userEmail: r.user_email }));
+    if (!rules.length) return { rules: 0 };
+    if (!memory.stablecoins.data || Date.now()-memory.stablecoins.t>TTL.stablecoins)
+      memory.stablecoins = { data: await buildStablecoinListLive(), t: Date.now() };
+    if (!memory.platforms.data) memory.platforms = { data: buildPlatforms(), t: Date.now() };
+    const ctx = {
+      stablecoins: memory.stablecoins.data,
+      platforms: [...memory.platforms.data.cefi, ...memory.platforms.data.defi],
+      news: (await loadNews().catch(() => null))?.data || memory.news.data || []
+    };
+    let raised = 0, resolved = 0;
+    for (const rule of rules) {
+      const kind = ALERT_RULE_KINDS[rule.kind];
+      if (!kind) continue;
+      let firing;
+      try { firing = await kind.evaluate(rule.params, ctx); }
+      catch (e) { console.error(`alert rule ${rule.id} evaluation failed:`, String(e)); continue; }
+      const active = (await db.query("select id, fingerprint from sl_alert_events where rule_id=$1 and status <> 'resolved'", [rule.id])).rows;
+      const activeFps = new Set(active.map(a => a.fingerprint));
+      for (const f of firing) {
+        if (activeFps.has(f.fingerprint)) {
+          await db.query("update sl_alert_events set last_seen=now(), message=$3, severity=$4, payload=$5 where rule_id=$1 and fingerprint=$2 and status <> 'resolved'",
+            [rule.id, f.fingerprint, f.message, f.severity, f.data]);
+          continue;
+        }
+        const ev = (await db.query(
+          "insert into sl_alert_events (rule_id, user_email, fingerprint, severity, message, payload) values ($1,$2,$3,$4,$5,$6) returning id",
+          [rule.id, rule.userEmail, f.fingerprint, f.severity, f.message, f.data]
+        )).rows[0];
+        raised++;
+        await deliverAlertEvent(rule, { id: ev.id, ...f });
+        emitEvent("alert.raised", { eventId: ev.id, rule: { id: rule.id, name: rule.name, kind: rule.kind }, ...f }, { email: rule.userEmail, workspaceId: rule.workspaceId });
+      }
+      if (kind.autoResolve) {
+        const firingFps = new Set(firing.map(f => f.fingerprint));
+        const gone = active.filter(a => !firingFps.has(a.fingerprint)).map(a => a.id);
+        if (gone.length) {
+          await db.query("update sl_alert_events set status='resolved', resolved_at=now() where id = any($1::int[])", [gone]);
+          resolved += gone.length;
+          for (const a of active.filter(x => gone.includes(x.id)))
+            emitEvent("alert.resolved", { eventId: a.id, rule: { id: rule.id, name: rule.name, kind: rule.kind }, fingerprint: a.fingerprint }, { email: rule.userEmail, workspaceId: rule.workspaceId });
+        }
+      }
+    }
+    return { rules: rules.length, raised, resolved };
+  } finally { alertEvalRunning = false; }
+}
+
+app.get("/api/alert-rules", requireAuth, withWorkspace, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const scope = ownerScope(req, 1);
+    const r = await db.query(`select * from sl_alert_rules where ${scope.sql} order by id`, scope.params);
+    res.json({ rules: r.rows.map(ruleRow), kinds: Object.fromEntries(Object.entries(ALERT_RULE_KINDS).map(([k, v]) => [k, Object.keys(v.params)])) });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.post("/api/alert-rules", requireAuth, withWorkspace, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const body = req.body || {};
+    const errors = validateAlertRule(body);
+    if (errors.length) return res.status(400).json({ error: "validation_failed", details: errors });
+    const r = await db.query(
+      "insert into sl_alert_rules (user_email, workspace_id, name, kind, params, channels, cooldown_minutes, enabled) values ($1,$2,$3,$4,$5,$6,$7,$8) returning *",
+      [req.user?.email || "user@unknown", req.workspace?.id ?? null, body.name, body.kind, body.params, { channels: body.channels || [], webhookUrl: body.webhookUrl || null }, body.cooldownMinutes ?? 60, body.enabled ?? true]
+    );
+    res.status(201).json({ rule: ruleRow(r.rows[0]) });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.patch("/api/alert-rules/:id", requireAuth, withWorkspace, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const id = parseId(req.params.id);
+    if (!id) return res.status(404).json({ error: "not_found" });
+    const scope = ownerScope(req, 2, { write: true });
+    const cur = (await db.query(`select * from sl_alert_rules where id=$1 and ${scope.sql}`, [id, ...scope.params])).rows[0];
+    if (!cur) return res.status(404).json({ error: "not_found" });
+    const { id: _id, createdAt: _c, workspaceId: _w, createdBy: _b, ...prev } = ruleRow(cur);
+    const next = { ...prev, ...(req.body || {}) };
+    if (next.webhookUrl == null) delete next.webhookUrl;
+    const errors = validateAlertRule(next);
+    if (errors.length) return res.status(400).json({ error: "validation_failed", details: errors });
+    const r = await db.query(
+      "update sl_alert_rules set name=$2, kind=$3, params=$4, channels=$5, cooldown_minutes=$6, enabled=$7 where id=$1 returning *",
+      [cur.id, next.name, next.kind, next.params, { channels: next.channels || [], webhookUrl: next.webhookUrl || null }, next.cooldownMinutes ?? 60, next.enabled ?? true]
+    );
+    res.json({ rule: ruleRow(r.rows[0]) });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.delete("/api/alert-rules/:id", requireAuth, withWorkspace, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const id = parseId(req.params.id);
+    if (!id) return res.status(404).json({ error: "not_found" });
+    const scope = ownerScope(req, 2, { write: true });
+    const r = await db.query(`delete from sl_alert_rules where id=$1 and ${scope.sql}`, [id, ...scope.params]);
+    if (!r.rowCount) return res.status(404).json({ error: "not_found" });
+    res.json({ ok: true });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.get("/api/alert-events", requireAuth, withWorkspace, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const status = ["open", "acknowledged", "resolved"].includes(req.query.status) ? req.query.status : null;
+    const scope = ownerScope(req, 2, { alias: "r" });
+    const r = await db.query(
+      `select e.id, e.rule_id as "ruleId", r.name as "ruleName", e.fingerprint, e.status, e.severity, e.message, e.payload,
+              e.first_seen as "firstSeen", e.last_seen as "lastSeen", e.acknowledged_at as "acknowledgedAt", e.acknowledged_by as "acknowledgedBy", e.resolved_at as "resolvedAt"
+         from sl_alert_events e join sl_alert_rules r on r.id = e.rule_id
+        where ($1::text is null or e.status=$1) and ${scope.sql} order by e.last_seen desc limit 200`,
+      [status, ...scope.params]
+    );
+    res.json({ events: r.rows });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.post("/api/alert-events/:id/:action(ack|resolve)", requireAuth, withWorkspace, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const id = parseId(req.params.id);
+    if (!id) return res.status(404).json({ error: "not_found_or_unchanged" });
+    const user = req.user?.email || "user@unknown";
+    const ack = req.params.action === "ack";
+    const scope = ownerScope(req, ack ? 3 : 2, { alias: "r" });
+    const r = ack
+      ? await db.query(`update sl_alert_events e set status='acknowledged', acknowledged_at=now(), acknowledged_by=$2 from sl_alert_rules r where r.id = e.rule_id and e.id=$1 and e.status='open' and ${scope.sql} returning e.id, e.status`, [id, user, ...scope.params])
+      : await db.query(`update sl_alert_events e set status='resolved', resolved_at=now() from sl_alert_rules r where r.id = e.rule_id and e.id=$1 and e.status <> 'resolved' and ${scope.sql} returning e.id, e.status`, [id, ...scope.params]);
+    if (!r.rowCount) return res.status(404).json({ error: "not_found_or_unchanged" });
+    res.json({ ok: true, event: r.rows[0] });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+
+// ===== Outbound webhooks =====
+// emitEvent() fans an event out to every enabled subscription that wants its type. Each delivery is a
+// job on a queue (Redis sorted set scored by next-attempt time when REDIS_URL is set, an in-process
+// array otherwise). Failed attempts back off exponentially; after WEBHOOK_MAX_ATTEMPTS the job goes
+// to the dead-letter list. Every attempt is logged in sl_webhook_deliveries.
+// Receivers verify X-StableLens-Signature: t=<unix ms>,v1=hex(hmac_sha256(secret, `${t}.${body}`)).
+const WEBHOOK_EVENT_TYPES = ["alert.raised", "alert.resolved", "score.changed", "registry.changed"];
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const WEBHOOK_BACKOFF_BASE_MS = Number(process.env.WEBHOOK_BACKOFF_BASE_MS || 2000);
+const WEBHOOK_BACKOFF_MAX_MS = 60 * 60 * 1000;
+const WEBHOOK_QUEUE_KEY = "sl:webhooks:queue";
+const WEBHOOK_DEAD_KEY = "sl:webhooks:dead";
+const WEBHOOK_DEAD_MAX = 1000;
+
+const webhookQueue = redis ? {
+  async push(job) { await redis.zadd(WEBHOOK_QUEUE_KEY, job.nextAt, JSON.stringify(job)); },
+  // zrem succeeds for exactly one replica, so a job is never delivered twice concurrently
+  async due(limit = 20) {
+    const members = await redis.zrangebyscore(WEBHOOK_QUEUE_KEY, "-inf", Date.now(), "LIMIT", 0, limit);
+    const claimed = [];
+    for (const m of members) if (await redis.zrem(WEBHOOK_QUEUE_KEY, m)) claimed.push(JSON.parse(m));
+    return claimed;
+  },
+  async size() { return redis.zcard(WEBHOOK_QUEUE_KEY); },
+  async dead(job) { await redis.lpush(WEBHOOK_DEAD_KEY, JSON.stringify(job)); await redis.ltrim(WEBHOOK_DEAD_KEY, 0, WEBHOOK_DEAD_MAX - 1); },
+  async deadList() { return (await redis.lrange(WEBHOOK_DEAD_KEY, 0, WEBHOOK_DEAD_MAX - 1)).map(x => JSON.parse(x)); },
+  async takeDead(jobId) {
+    for (const raw of await redis.lrange(WEBHOOK_DEAD_KEY, 0, WEBHOOK_DEAD_MAX - 1)) {
+      const job = JSON.parse(raw);
+      if (job.id === jobId && await redis.lrem(WEBHOOK_DEAD_KEY, 1, raw)) return job;
+    }
+    return null;
+  }
+} : (() => {
+  const jobs = [], deadJobs = [];
+  return {
+    async push(job) { jobs.push(job); },
+    async due(limit = 20) {
+      const now = Date.now(), out = [];
+      for (let i = jobs.length - 1; i >= 0 && out.length < limit; i--) if (jobs[i].nextAt <= now) out.push(...jobs.splice(i, 1));
+      return out.reverse();
+    },
+    async size() { return jobs.length; },
+    async dead(job) { deadJobs.unshift(job); if (deadJobs.length > WEBHOOK_DEAD_MAX) deadJobs.pop(); },
+    async deadList() { return [...deadJobs]; },
+    async takeDead(jobId) { const i = deadJobs.findIndex(j => j.id === jobId); return i >= 0 ? deadJobs.splice(i, 1)[0] : null; }
+  };
+})();
+
+let webhookSubsCache = { data: null, t: 0 };
+async function webhookSubscriptions() {
+  if (!db) return [];
+  if (webhookSubsCache.data && Date.now() - webhookSubsCache.t < 30000) return webhookSubsCache.data;
+  const r = await db.query("select id, url, secret, events from sl_webhooks where enabled");
+  webhookSubsCache = { data: r.rows, t: Date.now() };
+  return r.rows;
+}
+function emitEvent(type, data, audience = null) {
+  publishStream(type, data, audience);
+  if (!WEBHOOK_EVENT_TYPES.includes(type)) return; // stream-only (price ticks, source refreshes)
+  (async () => {
+    const subs = (await webhookSubscriptions()).filter(w => w.events.includes("*") || w.events.includes(type));
+    if (!subs.length) return;
+    const event = { id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), data };
+    for (const w of subs)
+      await webhookQueue.push({ id: crypto.randomUUID(), webhookId: w.id, url: w.url, secret: w.secret, event, attempt: 0, nextAt: Date.now() });
+  })().catch(e => console.error(`webhook enqueue (${type}) failed:`, String(e)));
+}
+function signWebhook(secret, body, t = Date.now()) {
+  return `t=${t},v1=${crypto.createHmac("sha256", secret).update(`${t}.${body}`).digest("hex")}`;
+}
+const webhookBackoff = attempt => Math.min(WEBHOOK_BACKOFF_MAX_MS, WEBHOOK_BACKOFF_BASE_MS * 2 ** (attempt - 1));
+async function logWebhookAttempt(job, status, { code = null, error = null, ms = null } = {}) {
+  if (!db) return;
+  await db.query(
+    "insert into sl_webhook_deliveries (webhook_id, job_id, event_id, event_type, attempt, status, response_code, error, duration_ms) values ($1,$2,$3,$4,$5,$6,$7,$8,$9)",
+    [job.webhookId, job.id, job.event.id, job.event.type, job.attempt, status, code, error, ms]
+  ).catch(e => console.error("webhook log error:", String(e)));
+}
+async function deliverWebhookJob(job) {
+  job.attempt += 1;
+  const body = JSON.stringify(job.event);
+  const started = Date.now();
+  try {
+    const r = await postJSON(job.url, body, { headers: {
+      "X-StableLens-Event": job.event.type,
+      "X-StableLens-Delivery": job.id,
+      "X-StableLens-Signature": signWebhook(job.secret, body)
+    }});
+    await logWebhookAttempt(job, "delivered", { code: r.status, ms: Date.now() - started });
+  } catch (e) {
+    const code = Number(String(e).match(/HTTP (\d+)/)?.[1]) || null;
+    const ms = Date.now() - started;
+    if (job.attempt >= WEBHOOK_MAX_ATTEMPTS) {
+      job.lastError = String(e); job.failedAt = new Date().toISOString();
+      await webhookQueue.dead(job);
+      await logWebhookAttempt(job, "dead", { code, error: String(e), ms });
+    } else {
+      job.nextAt = Date.now() + webhookBackoff(job.attempt);
+      await webhookQueue.push(job);
+      await logWebhookAttempt(job, "retrying", { code, error: String(e), ms });
+    }
+  }
+}
+let webhookWorkerRunning = false;
+async function runWebhookWorker() {
+  if (webhookWorkerRunning) return;
+  webhookWorkerRunning = true;
+  try { for (const job of await webhookQueue.due()) await deliverWebhookJob(job); }
+  catch (e) { console.error("webhook worker error:", String(e)); }
+  finally { webhookWorkerRunning = false; }
+}
+
+const WEBHOOK_FIELDS = {
+  url:         { type: "string", required: true, pattern: /^https?:\/\// },
+  events:      { type: "array", items: { type: "string", enum: ["*", ...WEBHOOK_EVENT_TYPES] } },
+  description: { type: "string" },
+  enabled:     { type: "boolean" }
+};
+const webhookRow = w => ({ id: w.id, url: w.url, events: w.events, description: w.description, enabled: w.enabled, createdBy: w.created_by, createdAt: w.created_at });
+app.get("/api/admin/webhooks", requireAuth, requireAdmin, async (_req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const r = await db.query("select * from sl_webhooks order by id");
+    res.json({ webhooks: r.rows.map(webhookRow), eventTypes: WEBHOOK_EVENT_TYPES, queue: { backend: redis ? "redis" : "memory", pending: await webhookQueue.size() } });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+// The signing secret is only returned here, at creation time
+app.post("/api/admin/webhooks", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const body = req.body || {};
+    const errors = validateAgainst(WEBHOOK_FIELDS, body);
+    if (errors.length) return res.status(400).json({ error: "validation_failed", details: errors });
+    const secret = crypto.randomBytes(32).toString("hex");
+    const r = await db.query(
+      "insert into sl_webhooks (url, secret, events, description, enabled, created_by) values ($1,$2,$3,$4,$5,$6) returning *",
+      [body.url, secret, JSON.stringify(body.events?.length ? body.events : ["*"]), body.description || null, body.enabled ?? true, actorOf(req)]
+    );
+    webhookSubsCache = { data: null, t: 0 };
+    res.status(201).json({ webhook: webhookRow(r.rows[0]), secret });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.patch("/api/admin/webhooks/:id", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const id = parseId(req.params.id);
+    if (!id) return res.status(404).json({ error: "not_found" });
+    const cur = (await db.query("select * from sl_webhooks where id=$1", [id])).rows[0];
+    if (!cur) return res.status(404).json({ error: "not_found" });
+    const next = { url: cur.url, events: cur.events, ...(cur.description ? { description: cur.description } : {}), enabled: cur.enabled, ...(req.body || {}) };
+    const errors = validateAgainst(WEBHOOK_FIELDS, next);
+    if (errors.length) return res.status(400).json({ error: "validation_failed", details: errors });
+    const r = await db.query(
+      "update sl_webhooks set url=$2, events=$3, description=$4, enabled=$5 where id=$1 returning *",
+      [cur.id, next.url, JSON.stringify(next.events), next.description || null, next.enabled]
+    );
+    webhookSubsCache = { data: null, t: 0 };
+    res.json({ webhook: webhookRow(r.rows[0]) });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.delete("/api/admin/webhooks/:id", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const id = parseId(req.params.id);
+    if (!id) return res.status(404).json({ error: "not_found" });
+    const r = await db.query("delete from sl_webhooks where id=$1", [id]);
+    if (!r.rowCount) return res.status(404).json({ error: "not_found" });
+    webhookSubsCache = { data: null, t: 0 };
+    res.json({ ok: true });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.get("/api/admin/webhooks/:id/deliveries", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const id = parseId(req.params.id);
+    if (!id) return res.status(404).json({ error: "not_found" });
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const r = await db.query(
+      `select job_id as "jobId", event_id as "eventId", event_type as "eventType", attempt, status, response_code as "responseCode", error, duration_ms as "durationMs", created_at as "createdAt"
+         from sl_webhook_deliveries where webhook_id=$1 order by id desc limit $2`,
+      [id, limit]
+    );
+    res.json({ deliveries: r.rows });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.get("/api/admin/webhooks-dead-letter", requireAuth, requireAdmin, async (_req, res) => {
+  try {
+    const jobs = await webhookQueue.deadList();
+    res.json({ jobs: jobs.map(({ secret: _s, ...j }) => j) });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.post("/api/admin/webhooks-dead-letter/:jobId/replay", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const job = await webhookQueue.takeDead(req.params.jobId);
+    if (!job) return res.status(404).json({ error: "not_found" });
+    await webhookQueue.push({ ...job, attempt: 0, nextAt: Date.now() });
+    res.json({ ok: true });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+
+// ===== Live stream (SSE) =====
+// GET /api/stream pushes typed events to open dashboards: alert.raised / alert.resolved, price.tick,
+// score.changed, source.refreshed and registry.changed. emitEvent() feeds it; with REDIS_URL the
+// event gets a cluster-wide id (INCR) and is fanned out over pub/sub so every replica's clients see
+// it. Each replica keeps the last STREAM_BUFFER_MAX events to replay from Last-Event-ID on reconnect.
+const STREAM_TOPICS = ["alert", "price", "score", "source", "registry"];
+// price / score / source are public; alert events only reach the rule's owner (or its workspace's members)
+// and registry events (admin actors, before/after entries) only reach admins
+const STREAM_PUBLIC_TOPICS = ["price", "score", "source"];
+const STREAM_CHANNEL = "sl:stream";
+const STREAM_SEQ_KEY = "sl:stream:seq";
+const STREAM_BUFFER_MAX = 500;
+const STREAM_MAX_CLIENTS = Number(process.env.STREAM_MAX_CLIENTS || 500);
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+const streamBuffer = [];        // recent events, oldest first
+const streamClients = new Set(); // { res, topics }
+let streamSeq = 0;
+let streamSub = null;
+const streamLocalIds = new Set(); // ids published while streamSub was down and already delivered locally
+let streamSubDownLogged = false;
+
+const streamTopic = type => type.split(".")[0];
+function streamFrame({ audience, ...ev }) { return `id: ${ev.id}\nevent: ${ev.type}\ndata: ${JSON.stringify(ev)}\n\n`; }
+function streamVisible(client, ev) {
+  if (!client.topics.has(streamTopic(ev.type))) return false;
+  const a = ev.audience;
+  if (!a) return true;
+  if (a.workspaceId != null) return client.workspaces.has(a.workspaceId);
+  return !!a.email && a.email.toLowerCase() === client.email;
+}
+function deliverStreamEvent(ev) {
+  streamBuffer.push(ev);
+  if (streamBuffer.length > STREAM_BUFFER_MAX) streamBuffer.shift();
+  for (const c of streamClients) if (streamVisible(c, ev)) { c.res.write(streamFrame(ev)); c.res.flush?.(); }
+}
+// audience: { email, workspaceId } restricts who receives the event (see streamVisible)
+function publishStream(type, data, audience = null) {
+  (async () => {
+    const ev = { id: 0, type, createdAt: new Date().toISOString(), data, ...(audience ? { audience } : {}) };
+    if (redis) {
+      try {
+        ev.id = await redis.incr(STREAM_SEQ_KEY);
+        await redis.publish(STREAM_CHANNEL, JSON.stringify(ev));
+        if (streamSub?.status === "ready") return;
+        // our own subscriber would miss it: deliver here, and skip the copy if the subscriber catches up
+        if (!streamSubDownLogged) { console.error("Redis stream subscriber not ready, delivering events locally"); streamSubDownLogged = true; }
+        streamLocalIds.add(ev.id);
+        if (streamLocalIds.size > STREAM_BUFFER_MAX) streamLocalIds.delete(streamLocalIds.values().next().value);
+        deliverStreamEvent(ev);
+        return;
+      } catch (e) { console.error("stream publish failed, delivering locally:", String(e)); }
+    }
+    ev.id = ev.id || ++streamSeq;
+    deliverStreamEvent(ev);
+  })();
+}
+if (redis) {
+  streamSub = redis.duplicate();
+  streamSub.on("error", err => console.error("Redis stream subscriber error:", String(err)));
+  streamSub.on("ready", () => { streamSubDownLogged = false; });
+  streamSub.on("message", (_channel, raw) => {
+    try { const ev = JSON.parse(raw); if (!streamLocalIds.delete(ev.id)) deliverStreamEvent(ev); } catch {}
+  });
+  streamSub.subscribe(STREAM_CHANNEL).catch(err => console.error("Redis stream subscribe error:", err));
+}
+
+// ?topics=alert,price (default: every topic the caller may see). EventSource can't send headers, so a session
+// token may come as ?access_token=. EventSource resends Last-Event-ID on reconnect; ?lastEventId= works for the first connect.
+// A "stream.reset" event means the gap can't be replayed (older than the buffer, or the ids restarted) and the client should reload.
+app.get("/api/stream", async (req, res) => {
+  const asked = req.query.topics ? String(req.query.topics).split(",").map(s => s.trim()).filter(Boolean) : null;
+  const unknown = (asked || []).filter(t => !STREAM_TOPICS.includes(t));
+  if (unknown.length) return res.status(400).json({ error: "bad_request", detail: `unknown topics: ${unknown.join(", ")}`, topics: STREAM_TOPICS });
+  const token = bearerToken(req) || (typeof req.query.access_token === "string" ? req.query.access_token : null);
+  let user = null, workspaces = new Set();
+  if (token) {
+    if (!authProvider) return res.status(501).json({ error: "auth_not_configured" });
+    try { user = await authenticate(token); }
+    catch (e) { return sendAuthFailure(res, e); }
+    if (db) {
+      try { workspaces = new Set((await db.query("select workspace_id from sl_workspace_members where user_email=$1", [user.email.toLowerCase()])).rows.map(r => r.workspace_id)); }
+      catch { return res.status(503).json({ error: "db_unavailable" }); }
+    }
+  }
+  const allowed = STREAM_TOPICS.filter(t => STREAM_PUBLIC_TOPICS.includes(t) || (t === "alert" && user) || (t === "registry" && isAdmin(user)));
+  const denied = (asked || []).filter(t => !allowed.includes(t));
+  if (denied.length) return res.status(user ? 403 : 401).json({ error: user ? "forbidden" : "no_token", detail: `not allowed: ${denied.join(", ")}` });
+  const topics = asked || allowed;
+  if (streamClients.size >= STREAM_MAX_CLIENTS) return res.status(503).json({ error: "stream_busy" });
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache, no-transform", "Connection": "keep-alive", "X-Accel-Buffering": "no" });
+  res.flushHeaders();
+  const client = { res, topics: new Set(topics), email: user?.email.toLowerCase() ?? null, workspaces };
+  res.write(`retry: 5000\n\n`);
+  const lastId = Number(req.get("last-event-id") ?? req.query.lastEventId);
+  if (Number.isFinite(lastId) && lastId > 0) {
+    const newest = streamBuffer.at(-1);
+    if (newest && (streamBuffer[0].id > lastId + 1 || newest.id < lastId))
+      res.write(streamFrame({ id: newest.id, type: "stream.reset", createdAt: new Date().toISOString(), data: { oldestId: streamBuffer[0].id } }));
+    else for (const ev of streamBuffer) if (ev.id > lastId && streamVisible(client, ev)) res.write(streamFrame(ev));
+  }
+  res.flush?.();
+  streamClients.add(client);
+  const heartbeat = setInterval(() => { res.write(": ping\n\n"); res.flush?.(); }, STREAM_HEARTBEAT_MS);
+  req.on("close", () => { clearInterval(heartbeat); streamClients.delete(client); });
+});
+
+// ----- Admin: registries -----
+const REGISTRY_KINDS = Object.keys(REGISTRY_SCHEMAS);
+function registryKind(req, res) {
+  const kind = req.params.kind;
+  if (!REGISTRY_KINDS.includes(kind)) { res.status(404).json({ error: "unknown_kind", kinds: REGISTRY_KINDS }); return null; }
+  return kind;
+}
+const actorOf = req => req.user?.email || req.user?.sub || "unknown";
+app.get("/api/admin/registry/:kind", requireAuth, requireAdmin, (req, res) => {
+  const kind = registryKind(req, res); if (!kind) return;
+  const includeRetired = req.query.includeRetired === "1" || req.query.includeRetired === "true";
+  const rows = [...registryRows.values()].filter(r => r.kind === kind && (includeRetired || !r.retired));
+  res.json({ kind, persisted: !!db, entries: rows.map(r => ({ id: r.id, retired: r.retired, updatedAt: r.updatedAt, updatedBy: r.updatedBy, data: r.data })) });
+});
+app.post("/api/admin/registry/:kind", requireAuth, requireAdmin, async (req, res) => {
+  const kind = registryKind(req, res); if (!kind) return;
+  const data = req.body || {};
+  const errors = registryErrors(kind, data);
+  if (errors.length) return res.status(400).json({ error: "validation_failed", details: errors });
+  const id = registryId(kind, data);
+  if (registryRows.has(`${kind}:${id}`)) return res.status(409).json({ error: "already_exists", id });
+  try {
+    const row = await writeRegistryEntry(kind, id, { data, retired: false, action: "create", actor: actorOf(req), before: null });
+    res.status(201).json({ ok: true, entry: row });
+  } catch (e) { res.status(500).json({ error: "server_error", detail: String(e) }); }
+});
+app.patch("/api/admin/registry/:kind/:id", requireAuth, requireAdmin, async (req, res) => {
+  const kind = registryKind(req, res); if (!kind) return;
+  const id = registryId(kind, req.params.id || "");
+  const cur = registryRows.get(`${kind}:${id}`);
+  if (!cur) return res.status(404).json({ error: "not_found" });
+  const data = { ...cur.data, ...(req.body || {}) };
+  const errors = registryErrors(kind, data);
+  if (errors.length) return res.status(400).json({ error: "validation_failed", details: errors });
+  if (registryId(kind, data) !== id) return res.status(400).json({ error: "validation_failed", details: [`${REGISTRY_SCHEMAS[kind].idField} cannot be changed`] });
+  try {
+    const row = await writeRegistryEntry(kind, id, { data, retired: cur.retired, action: "update", actor: actorOf(req), before: cur.data });
+    res.json({ ok: true, entry: row });
+  } catch (e) { res.status(500).json({ error: "server_error", detail: String(e) }); }
+});
+// Retire (soft delete); POST .../restore brings an entry back
+app.delete("/api/admin/registry/:kind/:id", requireAuth, requireAdmin, async (req, res) => {
+  const kind = registryKind(req, res); if (!kind) return;
+  const id = registryId(kind, req.params.id || "");
+  const cur = registryRows.get(`${kind}:${id}`);
+  if (!cur) return res.status(404).json({ error: "not_found" });
+  if (cur.retired) return res.json({ ok: true, entry: cur });
+  try {
+    const row = await writeRegistryEntry(kind, id, { data: cur.data, retired: true, action: "retire", actor: actorOf(req), before: cur.data });
+    res.json({ ok: true, entry: row });
+  } catch (e) { res.status(500).json({ error: "server_error", detail: String(e) }); }
+});
+app.post("/api/admin/registry/:kind/:id/restore", requireAuth, requireAdmin, async (req, res) => {
+  const kind = registryKind(req, res); if (!kind) return;
+  const id = registryId(kind, req.params.id || "");
+  const cur = registryRows.get(`${kind}:${id}`);
+  if (!cur) return res.status(404).json({ error: "not_found" });
+  try {
+    const row = await writeRegistryEntry(kind, id, { data: cur.data, retired: false, action: "restore", actor: actorOf(req), before: cur.data });
+    res.json({ ok: true, entry: row });
+  } catch (e) { res.status(500).json({ error: "server_error", detail: String(e) }); }
+});
+app.get("/api/admin/audit", requireAuth, requireAdmin, async (req, res) => {
+  const kind = req.query.kind || null, id = req.query.id || null;
+  const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+  try {
+    if (db) {
+      const r = await db.query(
+        `select kind, entity_id as "entityId", action, actor, before, after, created_at as "createdAt" from sl_registry_audit
+         where ($1::text is null or kind=$1) and ($2::text is null or entity_id=$2) order by id desc limit $3`,
+        [kind, id && kind ? registryId(kind, id) : id, limit]
+      );
+      return res.json({ entries: r.rows });
+    }
+    const rows = registryAuditMemory.filter(a => (!kind || a.kind === kind) && (!id || a.entityId === (kind ? registryId(kind, id) : id)));
+    res.json({ entries: rows.slice(-limit).reverse() });
+  } catch (e) { res.status(500).json({ error: "server_error", detail: String(e) }); }
+});
+
+// ----- Users and workspaces -----
+app.get("/api/auth/config", (_req, res) => {
+  res.json({ provider: authProviderName, devTokens: authProviderName === "dev" });
+});
+// dev provider only: mints a token for any email so auth-gated features can be used and tested locally.
+// Loopback callers only (the socket address, not req.ip, which X-Forwarded-For can set); tokens never carry
+// a role, so admin still needs ADMIN_EMAILS.
+const LOOPBACK = ["127.0.0.1", "::1", "::ffff:127.0.0.1"];
+app.post("/api/auth/dev/token", (req, res) => {
+  if (authProviderName !== "dev") return res.status(404).json({ error: "not_found" });
+  if (!LOOPBACK.includes(req.socket.remoteAddress)) return res.status(403).json({ error: "forbidden", detail: "dev tokens are only issued to local requests" });
+  const { email, name = null } = req.body || {};
+  if (typeof email !== "string" || !/^[^@\s]+@[^@\s]+$/.test(email)) return res.status(400).json({ error: "validation_failed", details: ["email is required"] });
+  const sub = "dev|" + email.toLowerCase();
+  res.json({ token: signDevToken({ sub, email: email.toLowerCase(), name: typeof name === "string" ? name.slice(0, 120) : null }), expiresIn: DEV_TOKEN_TTL_SEC });
+});
+app.get("/api/me", requireAuth, async (req, res) => {
+  try {
+    const { sub, email, name, role } = req.user;
+    if (!db) return res.json({ user: { sub, email, name, role, admin: isAdmin(req.user) }, workspaces: [] });
+    const [u, ws] = await Promise.all([
+      db.query("select id, created_at, last_login_at from sl_users where sub=$1", [sub]),
+      db.query("select w.id, w.name, m.role from sl_workspace_members m join sl_workspaces w on w.id = m.workspace_id where m.user_email=$1 order by w.name", [(email || "").toLowerCase()])
+    ]);
+    const row = u.rows[0] || {};
+    res.json({ user: { id: row.id ?? null, sub, email, name, role, admin: isAdmin(req.user), createdAt: row.created_at ?? null, lastLoginAt: row.last_login_at ?? null }, workspaces: ws.rows });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+
+// Members are keyed by email so teammates can be added before their first login.
+// Workspace admins rename/delete the workspace and manage members; any member reads and adds shared items.
+const WORKSPACE_ROLES = ["member", "admin"];
+async function workspaceMember(req, res, { admin = false } = {}) {
+  if (!db) { res.status(501).json({ error: "db_not_configured" }); return null; }
+  const id = parseId(req.params.id);
+  const r = id ? await db.query("select role from sl_workspace_members where workspace_id=$1 and user_email=$2", [id, (req.user?.email || "").toLowerCase()]) : { rows: [] };
+  if (!r.rows[0]) { res.status(404).json({ error: "workspace_not_found" }); return null; }
+  if (admin && r.rows[0].role !== "admin") { res.status(403).json({ error: "forbidden", detail: "workspace admin required" }); return null; }
+  return r.rows[0];
+}
+const validWorkspaceName = name => typeof name === "string" && name.trim().length > 0 && name.length <= 120;
+app.get("/api/workspaces", requireAuth, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const r = await db.query(
+      `select w.id, w.name, w.created_by as "createdBy", w.created_at as "createdAt", m.role,
+              (select count(*)::int from sl_workspace_members x where x.workspace_id = w.id) as "memberCount"
+         from sl_workspace_members m join sl_workspaces w on w.id = m.workspace_id where m.user_email=$1 order by w.name`,
+      [(req.user?.email || "").toLowerCase()]
+    );
+    res.json({ workspaces: r.rows });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.post("/api/workspaces", requireAuth, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    if (!req.user?.email) return res.status(400).json({ error: "no_email_on_account" });
+    if (!validWorkspaceName(req.body?.name)) return res.status(400).json({ error: "validation_failed", details: ["name is required (max 120 chars)"] });
+    const email = req.user.email.toLowerCase();
+    const w = (await db.query("insert into sl_workspaces (name, created_by) values ($1,$2) returning *", [req.body.name.trim(), email])).rows[0];
+    await db.query("insert into sl_workspace_members (workspace_id, user_email, role, added_by) values ($1,$2,'admin',$2)", [w.id, email]);
+    res.status(201).json({ workspace: { id: w.id, name: w.name, createdBy: w.created_by, createdAt: w.created_at, role: "admin", memberCount: 1 } });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.get("/api/workspaces/:id", requireAuth, async (req, res) => {
+  try {
+    const me = await workspaceMember(req, res);
+    if (!me) return;
+    const [w, m] = await Promise.all([
+      db.query("select * from sl_workspaces where id=$1", [Number(req.params.id)]),
+      db.query(`select m.user_email as email, m.role, m.added_by as "addedBy", m.created_at as "addedAt", u.name, u.last_login_at as "lastLoginAt"
+                  from sl_workspace_members m left join sl_users u on lower(u.email) = m.user_email where m.workspace_id=$1 order by m.role, m.user_email`, [Number(req.params.id)])
+    ]);
+    const row = w.rows[0];
+    res.json({ workspace: { id: row.id, name: row.name, createdBy: row.created_by, createdAt: row.created_at, role: me.role }, members: m.rows });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.patch("/api/workspaces/:id", requireAuth, async (req, res) => {
+  try {
+    if (!(await workspaceMember(req, res, { admin: true }))) return;
+    if (!validWorkspaceName(req.body?.name)) return res.status(400).json({ error: "validation_failed", details: ["name is required (max 120 chars)"] });
+    const r = await db.query("update sl_workspaces set name=$2 where id=$1 returning id, name", [Number(req.params.id), req.body.name.trim()]);
+    res.json({ workspace: r.rows[0] });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+// Deletes the workspace together with its shared watchlist, scenarios and alert rules
+app.delete("/api/workspaces/:id", requireAuth, async (req, res) => {
+  try {
+    if (!(await workspaceMember(req, res, { admin: true }))) return;
+    await db.query("delete from sl_workspaces where id=$1", [Number(req.params.id)]);
+    res.json({ ok: true });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+// Adds a member or changes their role
+app.post("/api/workspaces/:id/members", requireAuth, async (req, res) => {
+  try {
+    if (!(await workspaceMember(req, res, { admin: true }))) return;
+    const { email, role = "member" } = req.body || {};
+    const errors = [];
+    if (typeof email !== "string" || !/^[^@\s]+@[^@\s]+$/.test(email)) errors.push("email is required");
+    if (!WORKSPACE_ROLES.includes(role)) errors.push(`role must be one of ${WORKSPACE_ROLES.join(", ")}`);
+    if (errors.length) return res.status(400).json({ error: "validation_failed", details: errors });
+    const id = Number(req.params.id), target = email.toLowerCase();
+    if (role !== "admin" && await isLastWorkspaceAdmin(id, target)) return res.status(409).json({ error: "last_admin" });
+    const r = await db.query(
+      `insert into sl_workspace_members (workspace_id, user_email, role, added_by) values ($1,$2,$3,$4)
+       on conflict (workspace_id, user_email) do update set role=excluded.role returning user_email as email, role`,
+      [id, target, role, req.user.email.toLowerCase()]
+    );
+    res.json({ member: r.rows[0] });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+// Admins remove anyone; members can remove themselves (leave)
+app.delete("/api/workspaces/:id/members/:email", requireAuth, async (req, res) => {
+  try {
+    const target = (req.params.email || "").toLowerCase();
+    const self = target === (req.user?.email || "").toLowerCase();
+    if (!(await workspaceMember(req, res, { admin: !self }))) return;
+    const id = Number(req.params.id);
+    if (await isLastWorkspaceAdmin(id, target)) return res.status(409).json({ error: "last_admin" });
+    const r = await db.query("delete from sl_workspace_members where workspace_id=$1 and user_email=$2", [id, target]);
+    if (!r.rowCount) return res.status(404).json({ error: "not_found" });
+    res.json({ ok: true });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+async function isLastWorkspaceAdmin(workspaceId, email) {
+  const r = await db.query("select user_email from sl_workspace_members where workspace_id=$1 and role='admin'", [workspaceId]);
+  return r.rows.length === 1 && r.rows[0].user_email === email;
+}
+
 // ----- Watchlist (optional) -----
-app.post("/api/watchlist", requireAuth, async (req, res) => {
+const WATCH_TYPES = { coin: "coin", platform: "platform", corridor: "corridor" };
+// Resolves a watch target against the live registry; null when it doesn't exist (or is retired)
+function watchTarget(type, id) {
+  if (!Object.hasOwn(WATCH_TYPES, type) || !id) return null;
+  const key = registryId(type, String(id));
+  const row = registryRows.get(`${type}:${key}`);
+  return row && !row.retired ? { type, id: key, data: row.data } : null;
+}
+function alertsForWatch(target, alerts) {
+  const d = target.data;
+  const needles = target.type === "coin" ? [d.symbol, d.issuer] : target.type === "platform" ? [d.name] : [d.id];
+  const words = needles.filter(Boolean).map(n => n.toLowerCase());
+  return alerts.filter(a =>
+    (a.symbol && target.type === "coin" && a.symbol.toUpperCase() === d.symbol.toUpperCase()) ||
+    words.some(w => (a.message || "").toLowerCase().includes(w)));
+}
+app.get("/api/watchlist", requireAuth, withWorkspace, async (req, res) => {
   if (!db) return res.status(501).json({ error: "db_not_configured" });
-  const { item_type, item_id } = req.body || {};
-  if (!item_type || !item_id) return res.status(400).json({ error: "bad_request" });
-  await db.query(
-    "insert into sl_watchlists (user_email, item_type, item_id) values ($1,$2,$3) on conflict do nothing",
-    [req.user?.email || "user@unknown", item_type, item_id]
-  );
-  res.json({ ok:true });
+  try {
+    const scope = ownerScope(req, 1);
+    const r = await db.query(
+      `select item_type, item_id, user_email, created_at from sl_watchlists where ${scope.sql} order by created_at`,
+      scope.params
+    );
+    if (!memory.stablecoins.data || Date.now()-memory.stablecoins.t>TTL.stablecoins)
+      memory.stablecoins = { data: await buildStablecoinListLive(), t: Date.now() };
+    if (!memory.platforms.data) memory.platforms = { data: buildPlatforms(), t: Date.now() };
+    const alerts = memory.alerts.data || buildAlerts({ stablecoins: memory.stablecoins.data, news: memory.news.data || [] });
+    const platforms = [...memory.platforms.data.cefi, ...memory.platforms.data.defi];
+    const items = r.rows.map(row => {
+      const target = watchTarget(row.item_type, row.item_id);
+      const base = { item_type: row.item_type, item_id: row.item_id, addedAt: row.created_at, ...(req.workspace ? { addedBy: row.user_email } : {}) };
+      if (!target) return { ...base, missing: true };
+      if (target.type === "coin") {
+        const c = memory.stablecoins.data.find(x => x.symbol.toUpperCase() === target.id);
+        return { ...base, name: c?.name, score: c?.score ?? null, price: c?.price ?? null, change24h: c?.change24h ?? null,
+                 priceStale: c?.market?.price?.stale ?? true, alerts: alertsForWatch(target, alerts) };
+      }
+      if (target.type === "platform") {
+        const p = platforms.find(x => x.name.toLowerCase() === target.id);
+        return { ...base, name: p?.name, score: p?.score ?? null, price: null, alerts: alertsForWatch(target, alerts) };
+      }
+      const c = target.data;
+      return { ...base, name: `${c.from}→${c.to}`, score: null, price: null,
+               timeSavedDays: corridorBaseCalc(c).timeSavedDays, alerts: alertsForWatch(target, alerts) };
+    });
+    res.json({ items });
+  } catch (e) { res.status(500).json({ error: "server_error", detail: String(e) }); }
+});
+app.post("/api/watchlist", requireAuth, withWorkspace, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const { item_type, item_id } = req.body || {};
+    if (!item_type || !item_id) return res.status(400).json({ error: "bad_request" });
+    const target = watchTarget(item_type, item_id);
+    if (!target) return res.status(400).json({ error: "unknown_item", item_type, item_id });
+    await db.query(
+      "insert into sl_watchlists (user_email, workspace_id, item_type, item_id) values ($1,$2,$3,$4) on conflict do nothing",
+      [req.user?.email || "user@unknown", req.workspace?.id ?? null, target.type, target.id]
+    );
+    res.json({ ok:true, item_type: target.type, item_id: target.id });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.delete("/api/watchlist/:type/:id", requireAuth, withWorkspace, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const type = req.params.type;
+    if (!Object.hasOwn(WATCH_TYPES, type)) return res.status(400).json({ error: "bad_request" });
+    const scope = ownerScope(req, 3, { write: true });
+    const r = await db.query(
+      `delete from sl_watchlists where item_type=$1 and item_id=$2 and ${scope.sql}`,
+      [type, registryId(type, req.params.id || ""), ...scope.params]
+    );
+    if (!r.rowCount) return res.status(404).json({ error: "not_found" });
+    res.json({ ok:true });
+  } catch { res.status(500).json({ error: "server_error" }); }
 });
 
-// ----- Cron task (optional) -----
-app.get("/api/tasks/prewarm", async (_req,res) => {
+// ----- API keys -----
+// The secret is only returned by POST; afterwards a key is identified by its id and the sl_<prefix> shown in lists.
+// Limits above the env defaults need an admin.
+const API_KEY_FIELDS = {
+  name:        { type: "string", required: true, pattern: /^\S.{0,79}$/ },
+  ratePerMin:  { type: "number", min: 1, max: 100000 },
+  quotaPerDay: { type: "number", min: 1, max: 100000000 }
+};
+const apiKeyRow = r => ({
+  id: r.id, name: r.name, prefix: r.prefix, ratePerMin: r.rate_per_min, quotaPerDay: r.quota_per_day,
+  createdAt: r.created_at, lastUsedAt: r.last_used_at, revokedAt: r.revoked_at, ...(r.email ? { email: r.email } : {})
+});
+app.get("/api/keys", requireAuth, async (req, res) => {
   try {
-    memory.stablecoins = { data: buildStablecoinList(), t: Date.now() };
-    const [y, n] = await Promise.all([ fetchYieldsFromLlama(), fetchNewsFeeds() ]);
-    memory.yields = { data: y, t: Date.now() };
-    memory.news   = { data: n, t: Date.now() };
-    res.json({ ok:true, refreshedAt: Date.now(), sizes:{ yields: (y||[]).length, news: (n||[]).length }});
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const r = await db.query("select * from sl_api_keys where user_id=$1 order by created_at desc", [req.user.id]);
+    res.json({ keys: r.rows.map(apiKeyRow), defaults: { ratePerMin: API_KEY_RATE_PER_MIN, quotaPerDay: API_KEY_QUOTA_PER_DAY, anonRatePerMin: ANON_RATE_PER_MIN } });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.post("/api/keys", requireAuth, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const errors = validateAgainst(API_KEY_FIELDS, req.body || {});
+    if (errors.length) return res.status(400).json({ error: "validation_failed", details: errors });
+    const ratePerMin = Math.floor(req.body.ratePerMin ?? API_KEY_RATE_PER_MIN);
+    const quotaPerDay = Math.floor(req.body.quotaPerDay ?? API_KEY_QUOTA_PER_DAY);
+    if ((ratePerMin > API_KEY_RATE_PER_MIN || quotaPerDay > API_KEY_QUOTA_PER_DAY) && !isAdmin(req.user)) {
+      return res.status(403).json({ error: "forbidden", detail: "limits above the defaults need an admin" });
+    }
+    if (!req.user.id) return res.status(503).json({ error: "user_store_unavailable" });
+    const secret = "sl_" + crypto.randomBytes(24).toString("base64url");
+    const r = await db.query(
+      "insert into sl_api_keys (user_id, name, prefix, key_hash, rate_per_min, quota_per_day) values ($1,$2,$3,$4,$5,$6) returning *",
+      [req.user.id, req.body.name.trim(), secret.slice(0, 10), hashApiKey(secret), ratePerMin, quotaPerDay]
+    );
+    res.status(201).json({ key: apiKeyRow(r.rows[0]), secret });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+// Calls per key per route per UTC day, including counts not yet flushed; admins can pass all=1
+app.get("/api/keys/usage", requireAuth, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const days = Math.min(90, Math.max(1, Number(req.query.days) || 7));
+    const all = req.query.all === "1";
+    if (all && !isAdmin(req.user)) return res.status(403).json({ error: "forbidden" });
+    try { await flushApiUsage(); } catch (e) { console.error("usage flush failed:", e); }
+    const r = await db.query(
+      `select k.id, k.name, k.prefix, u.email, a.route, a.day::text as day, a.calls
+         from sl_api_usage a join sl_api_keys k on k.id = a.key_id join sl_users u on u.id = k.user_id
+        where a.day >= current_date - ($1::int - 1) and ($2::boolean or k.user_id = $3)
+        order by a.day desc, a.calls desc`,
+      [days, all, req.user.id]
+    );
+    const byKey = new Map();
+    for (const row of r.rows) {
+      const k = byKey.get(row.id) || { id: row.id, name: row.name, prefix: row.prefix, ...(all ? { email: row.email } : {}), total: 0, routes: [] };
+      k.total += row.calls;
+      k.routes.push({ route: row.route, day: row.day, calls: row.calls });
+      byKey.set(row.id, k);
+    }
+    res.json({ days, keys: [...byKey.values()] });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+app.delete("/api/keys/:id", requireAuth, async (req, res) => {
+  try {
+    if (!db) return res.status(501).json({ error: "db_not_configured" });
+    const id = parseId(req.params.id);
+    if (!id) return res.status(404).json({ error: "not_found" });
+    const r = await db.query(
+      "update sl_api_keys set revoked_at=now() where id=$1 and user_id=$2 and revoked_at is null returning key_hash",
+      [id, req.user.id]
+    );
+    if (!r.rowCount) return res.status(404).json({ error: "not_found" });
+    apiKeyCache.delete(r.rows[0].key_hash);
+    res.json({ ok: true });
+  } catch { res.status(500).json({ error: "server_error" }); }
+});
+
+// ===== Scheduler =====
+// In-process jobs on 5-field cron schedules (UTC; `*`, lists, ranges and `/step`), overridable per job with
+// JOB_SCHEDULE_<NAME>. Each run waits a random jitter, never overlaps itself (Redis lock when REDIS_URL is set)
+// and only the replica holding the Redis leader key runs schedules; without Redis this process is the leader.
+const SCHEDULER_TICK_MS = 10 * 1000;
+const LEADER_KEY = "sl:scheduler:leader";
+const LEADER_TTL_MS = 30 * 1000;
+const SCHEDULER_INSTANCE = process.env.RAILWAY_REPLICA_ID || crypto.randomUUID();
+const JOBS = {
+  market: {
+    schedule: "*/5 * * * *", jitterMs: 20000, runOnStart: true,
+    async run() {
+      memory.stablecoins = { data: await buildStablecoinListLive(), t: Date.now() };
+      memory.platforms = { data: buildPlatforms(), t: Date.now() };
+      return { coins: memory.stablecoins.data.length };
+    }
+  },
+  yields: {
+    schedule: "*/5 * * * *", jitterMs: 20000, runOnStart: true,
+    async run() { const r = await loadYields({ force: true }); return { pools: r.data.length, stale: r.stale }; }
+  },
+  news: {
+    schedule: "*/10 * * * *", jitterMs: 30000, runOnStart: true,
+    async run() { const r = await loadNews({ force: true }); return { items: r.data.length, stale: r.stale }; }
+  },
+  macro: {
+    schedule: "15 */6 * * *", jitterMs: 60000, runOnStart: true,
+    async run() {
+      const rs = await Promise.allSettled([
+        ...MACRO_FRED_IDS.map(id => fredSeries(id, 1, { force: true })),
+        sofrSeries({ force: true }), supplyHistory({ force: true }),
+        cached("coingecko", "global", [["coingecko", fetchCoingeckoGlobal]], { force: true }),
+        cached("coingecko", "categories", [["coingecko", fetchCoingeckoCategories]], { force: true })
+      ]);
+      const failed = rs.filter(r => r.status === "rejected");
+      if (failed.length === rs.length) throw failed[0].reason;
+      return { series: rs.length, failed: failed.length };
+    }
+  },
+  series: {
+    schedule: "*/15 * * * *", jitterMs: 60000, runOnStart: true,
+    run: () => collectSeries()
+  },
+  alerts: {
+    schedule: "* * * * *", jitterMs: 5000, enabled: () => !!db,
+    run: () => evaluateAlertRules()
+  }
+};
+
+function parseCronField(field, min, max) {
+  const allowed = new Set();
+  for (const part of field.split(",")) {
+    const [range, stepStr] = part.split("/");
+    const step = stepStr ? Number(stepStr) : 1;
+    let [lo, hi] = range === "*" ? [min, max] : range.split("-").map(v => (v === "" ? NaN : Number(v)));
+    if (hi === undefined) hi = stepStr ? max : lo;
+    if (![lo, hi, step].every(Number.isInteger) || step < 1 || lo < min || hi > max || lo > hi) throw new Error(`bad cron field "${field}"`);
+    for (let v = lo; v <= hi; v += step) allowed.add(v);
+  }
+  return { allowed, any: field === "*" };
+}
+function parseCron(expr) {
+  const parts = String(expr).trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`cron needs 5 fields: "${expr}"`);
+  const [minute, hour, dom, month, dow] = parts.map((f, i) => parseCronField(f, ...[[0, 59], [0, 23], [1, 31], [1, 12], [0, 6]][i]));
+  // an empty field can never match; reject it here rather than let every tick scan years of minutes
+  ["minute", "hour", "day-of-month", "month", "day-of-week"].forEach((name, i) => {
+    if (![minute, hour, dom, month, dow][i].allowed.size) throw new Error(`cron ${name} field "${parts[i]}" matches nothing: "${expr}"`);
+  });
+  // a day-of-month restricted schedule must fit some allowed month ("0 0 31 2 *" never fires), otherwise
+  // nextCronTime would scan years of minutes for nothing
+  const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+  if (dow.any && !dom.any && ![...month.allowed].some(m => [...dom.allowed].some(d => d <= MONTH_DAYS[m - 1]))) {
+    throw new Error(`cron never matches: "${expr}"`);
+  }
+  return { minute, hour, dom, month, dow };
+}
+// Next matching minute strictly after `from` (day-of-month / day-of-week OR together when both are restricted)
+function nextCronTime(cron, from = Date.now()) {
+  const d = new Date(Math.floor(from / 60000) * 60000 + 60000);
+  for (let i = 0; i < 4 * 366 * 24 * 60; i++, d.setTime(d.getTime() + 60000)) {
+    if (!cron.minute.allowed.has(d.getUTCMinutes()) || !cron.hour.allowed.has(d.getUTCHours()) || !cron.month.allowed.has(d.getUTCMonth() + 1)) continue;
+    const domOk = cron.dom.allowed.has(d.getUTCDate()), dowOk = cron.dow.allowed.has(d.getUTCDay());
+    if (cron.dom.any || cron.dow.any ? domOk && dowOk : domOk || dowOk) return d.getTime();
+  }
+  return null;
+}
+
+const jobState = new Map(); // name -> { schedule, nextRunAt, running, runs, failures, lastRunAt, lastDurationMs, lastError, lastResult, lastTrigger }
+let isLeader = false;
+
+function scheduleNext(name, from = Date.now()) {
+  const job = JOBS[name], st = jobState.get(name);
+  const next = nextCronTime(job.cron, from);
+  st.nextRunAt = next == null ? null : next + Math.floor(Math.random() * (job.jitterMs || 0));
+}
+async function holdLeadership() {
+  if (!redis) return (isLeader = true);
+  try {
+    if (isLeader) {
+      const renewed = await redis.eval(
+        "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end",
+        1, LEADER_KEY, SCHEDULER_INSTANCE, LEADER_TTL_MS
+      );
+      isLeader = renewed === 1;
+    }
+    if (!isLeader) isLeader = (await redis.set(LEADER_KEY, SCHEDULER_INSTANCE, "PX", LEADER_TTL_MS, "NX")) === "OK";
+  } catch { isLeader = false; }
+  return isLeader;
+}
+async function acquireJobLock(name, ttlMs) {
+  if (!redis) return true;
+  try { return (await redis.set(`sl:job:${name}:lock`, SCHEDULER_INSTANCE, "PX", ttlMs, "NX")) === "OK"; }
+  catch { return false; }
+}
+async function releaseJobLock(name) {
+  if (!redis) return;
+  try { await redis.eval("if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end", 1, `sl:job:${name}:lock`, SCHEDULER_INSTANCE); }
+  catch {}
+}
+// Resolves to the job state after the run, or null when the job is already running (here or on another replica)
+async function runJob(name, trigger = "schedule") {
+  const job = JOBS[name], st = jobState.get(name);
+  if (st.running) return null;
+  st.running = true;
+  if (!(await acquireJobLock(name, job.timeoutMs || 5 * 60 * 1000))) { st.running = false; return null; }
+  const started = Date.now();
+  try {
+    st.lastResult = (await job.run()) ?? null;
+    st.lastError = null;
   } catch (e) {
-    res.status(500).json({ ok:false, error: String(e) });
+    st.failures++;
+    st.lastError = String(e?.message || e);
+    console.error(`job ${name} failed:`, e);
+  } finally {
+    Object.assign(st, { running: false, runs: st.runs + 1, lastRunAt: started, lastDurationMs: Date.now() - started, lastTrigger: trigger });
+    await releaseJobLock(name);
+    await cacheSet(`jobs:${name}`, { ...st, instance: SCHEDULER_INSTANCE }, 7 * 86400);
+  }
+  return st;
+}
+async function schedulerTick() {
+  if (!(await holdLeadership())) return;
+  const now = Date.now();
+  for (const [name, job] of Object.entries(JOBS)) {
+    const st = jobState.get(name);
+    if (job.enabled && !job.enabled()) continue;
+    if (st.nextRunAt == null || st.nextRunAt > now || st.running) continue;
+    scheduleNext(name, now);
+    runJob(name, "schedule").catch(e => console.error(`job ${name} error:`, e));
   }
+}
+function startScheduler() {
+  for (const [name, job] of Object.entries(JOBS)) {
+    const override = process.env[`JOB_SCHEDULE_${name.toUpperCase()}`];
+    try { job.cron = parseCron(override || job.schedule); if (override) job.schedule = override; }
+    catch (e) {
+      if (!override) throw e;
+      console.error(`JOB_SCHEDULE_${name.toUpperCase()} ignored, keeping "${job.schedule}": ${e.message}`);
+      job.cron = parseCron(job.schedule);
+    }
+    jobState.set(name, { schedule: job.schedule, nextRunAt: null, running: false, runs: 0, failures: 0, lastRunAt: null, lastDurationMs: null, lastError: null, lastResult: null, lastTrigger: null });
+    if (job.runOnStart) jobState.get(name).nextRunAt = Date.now();
+    else scheduleNext(name);
+  }
+  schedulerTick();
+  setInterval(() => schedulerTick().catch(e => console.error("scheduler error:", e)), SCHEDULER_TICK_MS);
+}
+// The leader's view of a job is shared through Redis; prefer whichever state ran most recently
+async function jobView(name) {
+  const local = jobState.get(name);
+  const shared = await cacheGet(`jobs:${name}`);
+  const st = shared && (shared.lastRunAt || 0) > (local.lastRunAt || 0) ? shared : { ...local, instance: SCHEDULER_INSTANCE };
+  const job = JOBS[name];
+  return { name, enabled: job.enabled ? job.enabled() : true, jitterMs: job.jitterMs || 0, ...st, schedule: job.schedule };
+}
+
+app.get("/api/admin/jobs", requireAuth, requireAdmin, async (_req,res)=>{
+  const leader = redis ? await redis.get(LEADER_KEY).catch(() => null) : SCHEDULER_INSTANCE;
+  res.json({ instance: SCHEDULER_INSTANCE, leader, isLeader, jobs: await Promise.all(Object.keys(JOBS).map(jobView)) });
+});
+app.post("/api/admin/jobs/:name/run", requireAuth, requireAdmin, async (req,res)=>{
+  const name = req.params.name;
+  if (!Object.hasOwn(JOBS, name)) return res.status(404).json({ error: "not_found" });
+  const st = await runJob(name, `manual:${actorOf(req)}`);
+  if (!st) return res.status(409).json({ error: "already_running" });
+  res.status(st.lastError ? 502 : 200).json({ job: await jobView(name) });
 });
 
 // ----- Static UI -----
@@ -661,16 +4479,9 @@ if (process.env.SENTRY_DSN) {
   app.use(Sentry.Handlers.errorHandler());
 }
 
-// ----- Warm & Start -----
-(async function prewarm(){
-  try {
-    memory.stablecoins = { data: buildStablecoinList(), t: Date.now() };
-    memory.platforms   = { data: buildPlatforms(), t: Date.now() };
-    const [y, n] = await Promise.all([fetchYieldsFromLlama(), fetchNewsFeeds()]);
-    memory.yields = { data: y, t: Date.now() };
-    memory.news   = { data: n, t: Date.now() };
-  } catch {}
-})();
+// ----- Start -----
+setInterval(runWebhookWorker, 1000);
+startScheduler();
 app.listen(PORT, ()=> console.log(`StableLens v1 listening on :${PORT}`));
 
 